@@ -0,0 +1,108 @@
+/**
+ * Analytics - consent-aware event tracking behind a swappable provider
+ * Nothing leaves the browser until the visitor opts in. Events tracked before
+ * they have chosen wait in a short queue and are sent if they accept, or
+ * dropped if they decline. A provider only needs `send(name, params)`, so the
+ * in-memory one below can stand in for Google Analytics in tests.
+ */
+
+const ANALYTICS_PROVIDERS = {
+    gtag: {
+        // Google's tag is only added to the page once the visitor has agreed
+        load({ measurementId }) {
+            if (!measurementId || typeof gtag === 'function') return;
+
+            window.dataLayer = window.dataLayer || [];
+            window.gtag = function () { window.dataLayer.push(arguments); };
+            gtag('js', new Date());
+            gtag('config', measurementId, { anonymize_ip: true });
+
+            const script = document.createElement('script');
+            script.async = true;
+            script.src = `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(measurementId)}`;
+            document.head.appendChild(script);
+        },
+        send(name, params) {
+            if (typeof gtag === 'function') gtag('event', name, params);
+        },
+        revoke() {
+            if (typeof gtag === 'function') gtag('consent', 'update', { analytics_storage: 'denied' });
+        }
+    }
+};
+
+// Records events instead of sending them, for tests and local debugging
+class MemoryAnalyticsProvider {
+    constructor() {
+        this.events = [];
+    }
+
+    send(name, params) {
+        this.events.push({ name, params });
+    }
+}
+
+class Analytics {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.provider] - { send, load?, revoke? }, defaults to gtag
+     * @param {Object} [options.providerConfig] - passed to the provider's load()
+     * @param {string} [options.storageKey] - where the visitor's choice is kept
+     * @param {number} [options.consentVersion] - bump to ask everyone again
+     * @param {number} [options.queueLimit] - events held while waiting for a choice
+     */
+    constructor({ provider = ANALYTICS_PROVIDERS.gtag, providerConfig = {}, storageKey = 'wiredwise.consent',
+                  consentVersion = 1, queueLimit = 50 } = {}) {
+        this.provider = provider;
+        this.providerConfig = providerConfig;
+        this.storageKey = storageKey;
+        this.consentVersion = consentVersion;
+        this.queueLimit = queueLimit;
+        this.queue = [];
+
+        if (this.getConsent() === 'granted') this.provider.load?.(this.providerConfig);
+    }
+
+    /**
+     * @returns {'granted'|'denied'|null} null until the visitor has chosen
+     */
+    getConsent() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return stored?.version === this.consentVersion ? stored.analytics : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setConsent(granted) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: this.consentVersion,
+                analytics: granted ? 'granted' : 'denied',
+                decidedAt: Date.now()
+            }));
+        } catch (error) {
+            console.error('Error saving consent choice:', error);
+        }
+
+        if (granted) {
+            this.provider.load?.(this.providerConfig);
+            this.queue.splice(0).forEach(({ name, params }) => this.provider.send(name, params));
+        } else {
+            this.queue = [];
+            this.provider.revoke?.();
+        }
+    }
+
+    track(name, params = {}) {
+        const consent = this.getConsent();
+
+        if (consent === 'granted') {
+            this.provider.send(name, params);
+        } else if (consent === null) {
+            this.queue.push({ name, params });
+            if (this.queue.length > this.queueLimit) this.queue.shift();
+        }
+    }
+}
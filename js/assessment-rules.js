@@ -0,0 +1,65 @@
+/**
+ * Assessment Rules - the model behind the IT infrastructure assessment
+ * Building types, usage profiles, coverage ratios and per-service sizing all
+ * live here. The assessment form builds its options from this file and every
+ * calculation reads from it. Bump `version` whenever a figure changes; it is
+ * stamped into each lead so we know which model produced a quote.
+ */
+
+const ASSESSMENT_RULES = {
+    version: '2026.10.1',
+
+    // Construction type, multiplies the area an access point has to cover
+    buildingTypes: [
+        { id: 'house', label: 'Single-family home', factor: 1, default: true },
+        { id: 'apartment', label: 'Apartment/Condo', factor: 1.2 },
+        { id: 'open-office', label: 'Office (open space)', factor: 1.5 },
+        { id: 'walled-office', label: 'Office (many walls)', factor: 2 },
+        { id: 'warehouse', label: 'Warehouse/Industrial', factor: 2.5 },
+        { id: 'multi-story', label: 'Multi-story building', factor: 3 }
+    ],
+
+    // How heavily the network is used, scales access points and devices
+    usageProfiles: [
+        { id: 'basic', label: 'Basic Browse/email', factor: 1, default: true },
+        { id: 'streaming', label: 'Streaming/Video calls', factor: 1.3 },
+        { id: 'gaming', label: 'Gaming/4K streaming', factor: 1.7 },
+        { id: 'business', label: 'Business/Enterprise', factor: 2 }
+    ],
+
+    // Coverage and ratio factors, all in sq ft
+    coverage: {
+        BASE_COVERAGE: 1500,
+        DEVICES_PER_100_SQFT: 2,
+        SERVER_FACTOR_SQFT: 5000,
+        WORKSTATION_FACTOR_SQFT: 200
+    },
+
+    // Sizing rules for the optional services
+    services: {
+        cctv: {
+            PERIMETER_FT_PER_CAMERA: 100,
+            GB_PER_CAMERA_DAY: 20,
+            NVR_CHANNELS: 16,
+            MIN_CAMERAS: 2,
+            RETENTION_DAYS: [7, 14, 30],
+            DEFAULT_RETENTION_DAYS: 14
+        },
+        accessControl: {
+            DOORS_PER_CONTROLLER: 2
+        },
+        telephony: {
+            EXTENSION_SPARE_RATIO: 0.2,
+            USERS_PER_TRUNK_LINE: 4,
+            MIN_TRUNK_LINES: 2,
+            PBX_SIZES: [8, 16, 32, 64, 128]
+        },
+        cabling: {
+            SWITCH_PORTS: 24,
+            PATCH_PANEL_PORTS: 24,
+            CABLE_METRES_PER_DROP: 30,
+            WALL_RACK_SIZES: [6, 9, 12],
+            FLOOR_RACK_UNITS: 42
+        }
+    }
+};
@@ -0,0 +1,72 @@
+/**
+ * Form Validation - checks answers against the rules each form declares
+ * Works on plain values rather than inputs, so the same rules run on the page
+ * and in tests. Errors name a message key in js/locales/*.js for the page to
+ * show; phone errors also carry the parser's English wording as a fallback.
+ */
+
+// The same checks browsers apply to type="email" and type="url" inputs
+const FORM_FORMATS = {
+    email: value => /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/.test(value),
+    url: value => {
+        try {
+            new URL(value);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+};
+
+class FormValidator {
+    /**
+     * @param {Object} [options]
+     * @param {PhoneNumberParser} [options.phoneParser] - checks rules marked `phone`
+     * @param {Object} [options.formats] - checks for rules with a `format`, defaults to FORM_FORMATS
+     */
+    constructor({ phoneParser = new PhoneNumberParser(), formats = FORM_FORMATS } = {}) {
+        this.phoneParser = phoneParser;
+        this.formats = formats;
+    }
+
+    /**
+     * Check one rule against the answers.
+     * @param {Object} rule - { field, messageKey, required?, minLength?, phone?, format?, when? }
+     * @param {Object} values - trimmed answers keyed by field name
+     * @returns {{ key: string, params?: Object, message?: string }|null}
+     */
+    checkRule(rule, values) {
+        if (rule.when && !rule.when(values)) return null;
+
+        const value = values[rule.field];
+        const error = { key: rule.messageKey };
+        if (!value) return rule.required ? error : null;
+        if (rule.minLength && value.length < rule.minLength) return error;
+        if (rule.phone) return this.checkPhone(value);
+        if (rule.format && !this.formats[rule.format](value)) return error;
+
+        return null;
+    }
+
+    /**
+     * @returns {{ field: string, error: Object|null }[]} one entry per rule, in order
+     */
+    checkRules(rules, values) {
+        return rules.map(rule => ({ field: rule.field, error: this.checkRule(rule, values) }));
+    }
+
+    checkPhone(value) {
+        const { error, code, details = {} } = this.phoneParser.parse(value);
+        return error ? { key: `phone.errors.${code}`, params: details, message: error } : null;
+    }
+
+    /**
+     * @param {number} value - area in the unit the limits are given in
+     * @param {{ min: number, max: number }} limits
+     */
+    checkArea(value, { min, max }) {
+        if (isNaN(value) || value < min) return { key: 'area.tooSmall', params: { min } };
+        if (value > max) return { key: 'area.tooLarge', params: { max } };
+        return null;
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * I18n - message catalogs and a remembered language choice
+ * Page text is written in English in the HTML and tagged with data-i18n
+ * attributes, so the English catalog only holds the strings the scripts
+ * build. Other catalogs translate both. Anything a catalog is missing falls
+ * back to English, so a half-finished translation never shows blank text.
+ */
+
+const I18N_LOCALES = {
+    en: { label: 'English', tag: 'en-KE' },
+    sw: { label: 'Kiswahili', tag: 'sw-KE' }
+};
+
+// Filled in by js/locales/*.js
+const I18N_MESSAGES = {};
+
+// Tagged elements and the property or attribute each binding writes to
+const I18N_BINDINGS = {
+    'data-i18n': 'text',
+    'data-i18n-html': 'html',
+    'data-i18n-placeholder': 'placeholder',
+    'data-i18n-aria-label': 'aria-label',
+    'data-i18n-alt': 'alt',
+    'data-i18n-title': 'title'
+};
+const I18N_SELECTOR = Object.keys(I18N_BINDINGS).map(attribute => `[${attribute}]`).join(', ');
+
+class Translator {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.messages] - catalogs keyed by locale, defaults to I18N_MESSAGES
+     * @param {Object} [options.locales] - { label, tag } per supported locale
+     * @param {string} [options.defaultLocale] - used when nothing else matches, and for fallbacks
+     * @param {string} [options.storageKey] - where the visitor's choice is kept
+     */
+    constructor({ messages = I18N_MESSAGES, locales = I18N_LOCALES, defaultLocale = 'en',
+                  storageKey = 'wiredwise.locale' } = {}) {
+        this.messages = messages;
+        this.locales = locales;
+        this.defaultLocale = defaultLocale;
+        this.storageKey = storageKey;
+        this.listeners = [];
+
+        // English as written in the markup, kept so it can be restored
+        this.originals = new WeakMap();
+
+        this.locale = this.getStoredLocale() || this.detectLocale();
+    }
+
+    getStoredLocale() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return this.locales[stored] ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // First visit: follow the browser if it asks for a language we have
+    detectLocale() {
+        const preferred = (navigator.languages || [navigator.language])
+            .map(language => String(language || '').split('-')[0].toLowerCase())
+            .find(language => this.locales[language]);
+        return preferred || this.defaultLocale;
+    }
+
+    /**
+     * Look up a message. `{name}` placeholders are filled from params, with
+     * numbers formatted for the locale. A message with one/other forms is
+     * picked by params.count. Missing keys fall back to the default locale,
+     * then to params.defaultValue, then to the key itself.
+     * @param {string} key - dotted path, e.g. 'toast.assessmentReady'
+     * @param {Object} [params]
+     * @param {string} [locale]
+     * @returns {string}
+     */
+    t(key, params = {}, locale = this.locale) {
+        const usedLocale = this.has(key, locale) ? locale : this.defaultLocale;
+        const message = this.lookup(key, usedLocale);
+        if (message === undefined) return params.defaultValue ?? key;
+
+        const tag = this.getTag(usedLocale);
+        const text = typeof message === 'object'
+            ? message[new Intl.PluralRules(tag).select(params.count ?? 0)] ?? message.other
+            : message;
+
+        return text.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return match;
+            return typeof value === 'number' ? new Intl.NumberFormat(tag).format(value) : String(value);
+        });
+    }
+
+    has(key, locale = this.locale) {
+        return this.lookup(key, locale) !== undefined;
+    }
+
+    lookup(key, locale) {
+        const value = key.split('.').reduce((node, part) => node?.[part], this.messages[locale]);
+        return typeof value === 'string' || (value && typeof value.other === 'string') ? value : undefined;
+    }
+
+    setLocale(locale) {
+        if (!this.locales[locale]) return;
+
+        try {
+            localStorage.setItem(this.storageKey, locale);
+        } catch (error) {
+            console.error('Error saving language choice:', error);
+        }
+
+        const changed = locale !== this.locale;
+        this.locale = locale;
+        this.translatePage();
+        if (changed) this.listeners.forEach(listener => listener(locale));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    getTag(locale = this.locale) {
+        return this.locales[locale]?.tag || locale;
+    }
+
+    getLabel(locale = this.locale) {
+        return this.locales[locale]?.label || locale;
+    }
+
+    /**
+     * Translate every tagged element under root (the root included) and set
+     * the document language. Keys this locale lacks show the original English.
+     * @param {Document|Element|DocumentFragment} [root]
+     */
+    translatePage(root = document) {
+        const elements = Array.from(root.querySelectorAll(I18N_SELECTOR));
+        if (root.matches?.(I18N_SELECTOR)) elements.unshift(root);
+
+        // Pages with nothing tagged, like the legal documents, stay in English
+        if (root === document && elements.length) document.documentElement.lang = this.locale;
+
+        elements.forEach(element => {
+            const originals = this.rememberOriginals(element);
+
+            Object.entries(I18N_BINDINGS).forEach(([attribute, target]) => {
+                const key = element.getAttribute(attribute);
+                if (!key) return;
+
+                const value = this.has(key) ? this.t(key) : originals[target];
+                if (target === 'text') {
+                    element.textContent = value;
+                } else if (target === 'html') {
+                    element.innerHTML = value;
+                } else {
+                    element.setAttribute(target, value);
+                }
+            });
+        });
+    }
+
+    rememberOriginals(element) {
+        if (!this.originals.has(element)) {
+            const originals = {};
+            Object.entries(I18N_BINDINGS).forEach(([attribute, target]) => {
+                if (!element.hasAttribute(attribute)) return;
+                originals[target] = target === 'text' ? element.textContent
+                    : target === 'html' ? element.innerHTML
+                    : element.getAttribute(target);
+            });
+            this.originals.set(element, originals);
+        }
+        return this.originals.get(element);
+    }
+
+    /**
+     * The English text of an element as written in the page, whatever
+     * language is showing. Used where answers are read back from labels.
+     * @param {Element} element
+     * @returns {string}
+     */
+    originalText(element) {
+        const copy = element.cloneNode(true);
+        const tagged = Array.from(element.querySelectorAll(I18N_SELECTOR));
+        const copies = Array.from(copy.querySelectorAll(I18N_SELECTOR));
+        if (element.matches(I18N_SELECTOR)) {
+            tagged.unshift(element);
+            copies.unshift(copy);
+        }
+
+        tagged.forEach((source, index) => {
+            const originals = this.originals.get(source);
+            if (originals?.text !== undefined) copies[index].textContent = originals.text;
+            if (originals?.html !== undefined) copies[index].innerHTML = originals.html;
+        });
+        return copy.textContent;
+    }
+}
@@ -0,0 +1,1103 @@
+/**
+ * IT Assessment Page - sizes a site's network from its zones and prices it
+ * Results can be shared as a link, saved side by side as scenarios, printed
+ * as a proposal or sent to us as a lead.
+ */
+
+class ITAssessmentPage {
+    /**
+     * @param {DigitalSolutionsApp} app - shared language, formatting, spam checks and lead delivery
+     * @param {HTMLElement} root - the assessment section, results and scenarios included
+     */
+    constructor(app, root) {
+        this.app = app;
+        this.root = root;
+
+        const find = id => root.querySelector(`#${id}`);
+        this.elements = {
+            form: find('connectivityForm'),
+            zoneList: find('zoneList'),
+            zoneTemplate: find('zoneTemplate'),
+            addZoneBtn: find('addZoneBtn'),
+            areaUnitRadios: root.querySelectorAll('input[name="areaUnit"]'),
+            resultText: find('resultText'),
+            deviceCount: find('deviceCount'),
+            additionalServicesText: find('additionalServicesText'),
+            estimateResult: find('estimateResult'),
+            quoteBreakdown: find('quoteBreakdown'),
+            ctaButton: find('ctaButton'),
+            proposalButton: find('proposalButton'),
+            // Printed on its own, so it sits directly in <body> outside the section
+            proposalDocument: document.getElementById('proposalDocument'),
+            itFullName: find('itFullName'),
+            itPhone: find('itPhone'),
+            serviceCheckboxes: root.querySelectorAll('[data-service-options]'),
+            copyLinkButton: find('copyLinkButton'),
+            scenarioName: find('scenarioName'),
+            saveScenarioButton: find('saveScenarioButton'),
+            scenarioComparison: find('scenarioComparison'),
+            savedScenarios: find('savedScenarios'),
+            comparisonControls: find('comparisonControls'),
+            compareLeft: find('compareLeft'),
+            compareRight: find('compareRight'),
+            comparisonTable: find('comparisonTable')
+        };
+
+        this.constants = {
+            // The coverage model itself lives in js/assessment-rules.js
+            MIN_AREA: 100,
+            MAX_AREA: 100000,
+            DEFAULT_AREA_UNIT: 'sqm',
+
+            // Shareable assessment links and saved scenarios
+            ASSESSMENT_HASH_KEY: 'assessment',
+            ASSESSMENT_LINK_VERSION: 2,
+            SCENARIO_STORAGE_KEY: 'wiredwise.itScenarios',
+            SCENARIO_LIMIT: 6,
+
+            PROPOSAL_VALIDITY_DAYS: 30,
+            LOGO_PATH: '/src/icons/wiredwiselogo.png',
+            TERMS_PATH: '/legal/termsofservice.html',
+
+            // Contact details needed before sending a lead
+            IT_CONTACT_RULES: [
+                { field: 'itFullName', required: true, messageKey: 'wizard.fullName' },
+                { field: 'itPhone', required: true, phone: true, messageKey: 'wizard.phone' }
+            ]
+        };
+
+        this.init();
+    }
+
+    init() {
+        const { form, zoneList, zoneTemplate, itFullName, itPhone } = this.elements;
+        if (!form) return;
+
+        this.areaUnit = this.root.querySelector('input[name="areaUnit"]:checked')?.value
+            || this.constants.DEFAULT_AREA_UNIT;
+
+        form.addEventListener('submit', (e) => this.handleSubmit(e));
+
+        // Zone area validation and removal
+        zoneList?.addEventListener('input', (e) => {
+            if (e.target.classList.contains('zone-area')) this.validateAreaInput(e.target);
+        });
+        zoneList?.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.remove-zone');
+            if (removeBtn) this.removeZone(removeBtn.closest('.zone'));
+        });
+        this.elements.addZoneBtn?.addEventListener('click', () => this.addZone());
+        this.elements.areaUnitRadios.forEach(radio => {
+            radio.addEventListener('change', () => this.setAreaUnit(radio.value));
+        });
+        this.elements.serviceCheckboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.toggleServiceOptions(checkbox));
+        });
+
+        // Contact details: clear errors while typing, check the phone once they move on
+        [itFullName, itPhone].forEach(input => {
+            input?.addEventListener('input', () => this.app.clearFieldError(input.name, form));
+        });
+        itPhone?.addEventListener('blur', () => {
+            if (itPhone.value.trim()) this.app.setFieldError(itPhone.name, this.app.getPhoneError(itPhone.value), form);
+        });
+
+        // Sharing and comparing assessment results
+        this.elements.copyLinkButton?.addEventListener('click', () => this.handleCopyLink());
+        this.elements.saveScenarioButton?.addEventListener('click', () => this.handleSaveScenario());
+        [this.elements.compareLeft, this.elements.compareRight].forEach(select => {
+            select?.addEventListener('change', () => this.renderComparisonTable());
+        });
+        this.elements.savedScenarios?.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-scenario-action]');
+            if (action) this.handleScenarioAction(action.dataset.scenarioAction, action.dataset.scenarioId);
+        });
+
+        this.elements.ctaButton?.addEventListener('click', (e) => this.handleCTA(e));
+        this.elements.proposalButton?.addEventListener('click', (e) => this.handleProposalDownload(e));
+        window.addEventListener('afterprint', () => document.body.classList.remove('printing-proposal'));
+
+        // Every site starts with a single zone
+        this.zoneCounter = 0;
+        if (zoneList && zoneTemplate) {
+            this.populateRuleOptions();
+            this.addZone();
+        }
+
+        this.app.spamGuard?.watch(form, 'itAssessment');
+        this.setupSharedAssessment();
+        this.app.i18n.onChange(() => this.handleLocaleChange());
+    }
+
+    // The page text is already swapped; redraw what this page wrote
+    handleLocaleChange() {
+        if (this.elements.zoneTemplate) {
+            this.populateRuleOptions();
+            this.refreshZones();
+            this.applyUnitLabels(this.root);
+        }
+        if (this.lastAssessment) {
+            const { formData, results, quote } = this.lastAssessment;
+            this.displayResults(formData, results, quote, { scroll: false });
+        }
+        this.renderScenarios();
+    }
+
+    // Also relabels zones already on the page, keeping their answers
+    populateRuleOptions() {
+        const option = (value, label, selected) => 
+            `<option value="${value}"${selected ? ' selected' : ''}>${this.app.escapeHTML(label)}</option>`;
+        const fill = (select, html) => {
+            const value = select.value;
+            select.innerHTML = html;
+            if (value) select.value = value;
+        };
+
+        [this.elements.zoneTemplate?.content, this.elements.zoneList].filter(Boolean).forEach(root => {
+            root.querySelectorAll('[data-rule-options]').forEach(select => {
+                const listName = select.dataset.ruleOptions;
+                fill(select, ASSESSMENT_RULES[listName]
+                    .map(rule => option(rule.id, this.getRuleLabel(listName, rule.id), rule.default)).join(''));
+            });
+        });
+
+        const { RETENTION_DAYS, DEFAULT_RETENTION_DAYS } = ASSESSMENT_RULES.services.cctv;
+        const retentionSelect = this.root.querySelector('#cctvRetention');
+        if (retentionSelect) {
+            fill(retentionSelect, RETENTION_DAYS.map(days => 
+                option(days, this.app.t('zones.retentionDays', { count: days }), days === DEFAULT_RETENTION_DAYS)).join(''));
+        }
+    }
+
+    // Rule labels are written in English in js/assessment-rules.js
+    getRuleLabel(listName, id, locale) {
+        return this.app.t(`rules.${listName}.${id}`, { defaultValue: this.getCalculator().getRule(listName, id)?.label }, locale);
+    }
+
+    // =====================
+    // ZONES & AREA UNITS
+    // =====================
+    addZone() {
+        const { zoneTemplate, zoneList } = this.elements;
+        if (!zoneTemplate || !zoneList) return null;
+
+        const zone = zoneTemplate.content.firstElementChild.cloneNode(true);
+        const zoneId = ++this.zoneCounter;
+
+        this.app.i18n.translatePage(zone);
+
+        // Give each field a unique id so its label stays attached
+        zone.querySelectorAll('[name]').forEach(field => {
+            field.id = `${field.name}-${zoneId}`;
+        });
+        zone.querySelectorAll('label[data-for]').forEach(label => {
+            label.htmlFor = `${label.dataset.for}-${zoneId}`;
+        });
+
+        this.applyUnitLabels(zone);
+        zoneList.appendChild(zone);
+        this.refreshZones();
+        return zone;
+    }
+
+    removeZone(zone) {
+        if (this.getZoneElements().length <= 1) return;
+        zone.remove();
+        this.refreshZones();
+    }
+
+    refreshZones() {
+        const zones = this.getZoneElements();
+        zones.forEach((zone, index) => {
+            const title = zone.querySelector('.zone-title');
+            if (title) title.textContent = this.app.t('zones.title', { number: index + 1 });
+            zone.querySelector('.remove-zone')?.classList.toggle('hidden', zones.length === 1);
+        });
+    }
+
+    getZoneElements() {
+        return Array.from(this.elements.zoneList?.querySelectorAll('.zone') || []);
+    }
+
+    setAreaUnit(unit) {
+        if (unit === this.areaUnit || !this.app.constants.AREA_UNITS[unit]) return;
+
+        const from = this.app.constants.AREA_UNITS[this.areaUnit];
+        const to = this.app.constants.AREA_UNITS[unit];
+
+        // Convert what the user has already typed into the new unit. The exact
+        // sq ft / ft figure is kept on the field, so switching back and forth
+        // redisplays it instead of compounding the rounding.
+        const convert = (input, fromPerUnit, toPerUnit) => {
+            const value = parseFloat(input?.value);
+            if (isNaN(value)) return;
+
+            const unchanged = input.dataset.baseValue && input.value === input.dataset.shownValue;
+            const base = unchanged ? Number(input.dataset.baseValue) : value * fromPerUnit;
+            input.value = Math.round(base / toPerUnit * 10) / 10;
+            input.dataset.baseValue = base;
+            input.dataset.shownValue = input.value;
+        };
+
+        this.getZoneElements().forEach(zone => {
+            convert(zone.querySelector('.zone-area'), from.sqftPerUnit, to.sqftPerUnit);
+        });
+        convert(this.root.querySelector('#cctvPerimeter'), from.ftPerUnit, to.ftPerUnit);
+
+        this.areaUnit = unit;
+        this.applyUnitLabels(this.root);
+        this.getZoneElements().forEach(zone => {
+            const areaInput = zone.querySelector('.zone-area');
+            if (areaInput?.value) this.validateAreaInput(areaInput);
+        });
+    }
+
+    applyUnitLabels(root) {
+        const unit = this.app.constants.AREA_UNITS[this.areaUnit];
+
+        root.querySelectorAll('.area-unit-label').forEach(el => el.textContent = unit.areaLabel);
+        root.querySelectorAll('.length-unit-label').forEach(el => el.textContent = unit.lengthLabel);
+        root.querySelectorAll('.zone-area').forEach(input => {
+            input.placeholder = this.app.t('area.example', { value: unit.areaExample });
+        });
+        const perimeterInput = root.querySelector('#cctvPerimeter');
+        if (perimeterInput) perimeterInput.placeholder = this.app.t('area.example', { value: unit.perimeterExample });
+    }
+
+    getAreaLimits() {
+        // Limits are defined in sq ft and rounded inwards for the active unit
+        const { sqftPerUnit } = this.app.constants.AREA_UNITS[this.areaUnit];
+        return {
+            min: Math.ceil(this.constants.MIN_AREA / sqftPerUnit),
+            max: Math.floor(this.constants.MAX_AREA / sqftPerUnit)
+        };
+    }
+
+    toSqft(value) {
+        return value * this.app.constants.AREA_UNITS[this.areaUnit].sqftPerUnit;
+    }
+
+    toFeet(value) {
+        return value * this.app.constants.AREA_UNITS[this.areaUnit].ftPerUnit;
+    }
+
+    validateAreaInput(areaInput) {
+        const error = this.app.getValidator().checkArea(parseFloat(areaInput.value), this.getAreaLimits());
+        const { areaLabel } = this.app.constants.AREA_UNITS[this.areaUnit];
+
+        areaInput.setCustomValidity(error ? this.app.t(error.key, { ...error.params, unit: areaLabel }) : '');
+    }
+
+    toggleServiceOptions(checkbox) {
+        this.root.querySelector(`#${checkbox.dataset.serviceOptions}`)
+            ?.classList.toggle('hidden', !checkbox.checked);
+    }
+
+    // Checked again before a lead or proposal, as an area may be cleared after calculating
+    validateZones() {
+        for (const zone of this.getZoneElements()) {
+            const areaInput = zone.querySelector('.zone-area');
+            if (!areaInput) continue;
+            this.validateAreaInput(areaInput);
+            if (!areaInput.checkValidity()) {
+                areaInput.reportValidity();
+                return false;
+            }
+        }
+        return true;
+    }
+
+    handleSubmit(event) {
+        event.preventDefault();
+
+        if (!this.validateZones() || !this.validateContact()) return;
+
+        try {
+            const formData = this.getFormData();
+            this.runAssessment(formData);
+
+            // Keep the address bar pointing at these results so it can be shared or reloaded
+            window.history.replaceState(window.history.state, '', this.getAssessmentLink(formData));
+            this.app.showToast(this.app.t('toast.assessmentReady'), { type: 'success' });
+            this.app.trackEvent('it_assessment_submission', 'IT Infrastructure Assessment');
+        } catch (error) {
+            console.error('Error processing IT assessment:', error);
+            this.app.showErrorToast(this.app.t('toast.assessmentFailed'), {
+                actions: [{ label: this.app.t('toast.retry'), onClick: () => this.elements.form.requestSubmit() }]
+            });
+        }
+    }
+
+    validateContact() {
+        const form = this.elements.form;
+        const values = {};
+        this.constants.IT_CONTACT_RULES.forEach(rule => {
+            values[rule.field] = (form.elements.namedItem(rule.field)?.value || '').trim();
+        });
+
+        let firstError = null;
+        this.app.getValidator().checkRules(this.constants.IT_CONTACT_RULES, values).forEach(({ field, error }) => {
+            const message = this.app.formatValidationError(error);
+            this.app.setFieldError(field, message, form);
+            if (message && !firstError) firstError = { field, message };
+        });
+
+        if (firstError) {
+            form.elements.namedItem(firstError.field)?.focus();
+            this.app.showErrorToast(firstError.message);
+            return false;
+        }
+        return true;
+    }
+
+    runAssessment(formData) {
+        const results = this.getCalculator().calculateITNeeds(formData);
+        const quote = this.getCalculator().buildQuote(results);
+        this.displayResults(formData, results, quote);
+        this.lastAssessment = { formData, results, quote };
+        return this.lastAssessment;
+    }
+
+    getFormData() {
+        return {
+            fullName: this.elements.itFullName?.value || '',
+            phone: this.app.normalizePhone(this.elements.itPhone?.value || ''),
+            areaUnit: this.areaUnit,
+            zones: this.getZoneData(),
+            needsCabling: this.root.querySelector('input[name="structuredCabling"]')?.checked || false,
+            needsCCTV: this.root.querySelector('input[name="cctv"]')?.checked || false,
+            needsAccessControl: this.root.querySelector('input[name="accessControl"]')?.checked || false,
+            needsTelephony: this.root.querySelector('input[name="telephony"]')?.checked || false,
+            cctv: {
+                perimeter: this.toFeet(this.getNumberValue('cctvPerimeter')),
+                entryPoints: this.getNumberValue('cctvEntryPoints'),
+                retentionDays: this.getNumberValue('cctvRetention') || ASSESSMENT_RULES.services.cctv.DEFAULT_RETENTION_DAYS
+            },
+            accessControl: {
+                doors: this.getNumberValue('acDoors'),
+                exitReaders: this.root.querySelector('#acExitReaders')?.checked || false
+            },
+            telephony: {
+                staff: this.getNumberValue('telStaff')
+            },
+            cabling: {
+                extraDrops: this.getNumberValue('cablingExtraDrops')
+            }
+        };
+    }
+
+    getZoneData() {
+        return this.getZoneElements().map(zone => this.getCalculator().describeZone({
+            // Unnamed zones are numbered when shown, see getZoneName()
+            name: (zone.querySelector('[name="zoneName"]')?.value || '').trim(),
+            floor: Math.max(0, parseInt(zone.querySelector('[name="zoneFloor"]')?.value, 10) || 0),
+            area: this.toSqft(parseFloat(zone.querySelector('[name="zoneArea"]')?.value)),
+            buildingTypeId: zone.querySelector('[name="zoneBuildingType"]')?.value,
+            usageProfileId: zone.querySelector('[name="zoneUsage"]')?.value
+        }));
+    }
+
+    getZoneName(zone, index) {
+        return zone.name || this.app.t('zones.title', { number: index + 1 });
+    }
+
+    getNumberValue(id) {
+        const value = parseFloat(this.root.querySelector(`#${id}`)?.value);
+        return isNaN(value) || value < 0 ? 0 : value;
+    }
+
+    getCalculator() {
+        if (!this.calculator) this.calculator = new ITCalculator();
+        return this.calculator;
+    }
+
+    // Same wording as the lead, in the visitor's language
+    describeServiceNeeds(services) {
+        return this.app.getLeadMessages().describeServices(services, this.app.i18n.locale);
+    }
+
+    displayResults(formData, results, quote, { scroll = true } = {}) {
+        const { resultText, additionalServicesText, ctaButton, deviceCount, estimateResult } = this.elements;
+        if (!resultText || !estimateResult) return;
+
+        const { needsCabling, needsCCTV, needsAccessControl, needsTelephony } = formData;
+        const { zones, area, accessPoints, estimatedDevices, recommendedServers, recommendedWorkstations } = results;
+        const siteLabel = zones.length === 1 
+            ? this.getRuleLabel('buildingTypes', zones[0].buildingTypeId) 
+            : this.app.t('results.siteAcrossZones', { count: zones.length });
+        const checkIcon = `
+                    <svg class="w-5 h-5 text-blue-600 mr-2 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"></path>
+                    </svg>`;
+
+        // Generate results HTML
+        let html = `
+            <div class="space-y-3">
+                <p>${this.app.t('results.intro', { area: this.formatArea(area), site: siteLabel })}</p>
+                <p class="flex items-center">${checkIcon}
+                    <strong>${accessPoints <= 1 ? this.app.t('results.wifiSystem') : this.app.t('results.accessPoints', { count: accessPoints })}</strong>
+                </p>
+                <p class="flex items-center">${checkIcon}
+                    <span>${this.app.t('results.equipment', {
+                        workstations: this.app.t('results.workstations', { count: recommendedWorkstations }),
+                        servers: this.app.t('results.servers', { count: recommendedServers })
+                    })}</span>
+                </p>
+        `;
+
+        // Additional services
+        const services = [];
+        if (needsCabling) services.push(this.app.t('results.serviceNames.cabling'));
+        if (needsCCTV) services.push(this.app.t('results.serviceNames.cctv'));
+        if (needsAccessControl) services.push(this.app.t('results.serviceNames.accessControl'));
+        if (needsTelephony) services.push(this.app.t('results.serviceNames.telephony'));
+
+        if (services.length) {
+            this.describeServiceNeeds(results.services).forEach(({ label, summary }) => {
+                html += `
+                <p class="flex items-center">${checkIcon}
+                    <span><strong>${label}:</strong> ${summary}</span>
+                </p>
+                `;
+            });
+        }
+        if (additionalServicesText) {
+            additionalServicesText.textContent = services.length
+                ? this.app.t('results.includes', { services: services.join(', ') })
+                : this.app.t('results.basic');
+        }
+        if (ctaButton) {
+            ctaButton.textContent = this.app.t(services.length ? 'results.ctaComplete' : 'results.ctaConsultation');
+        }
+
+        if (zones.length > 1) {
+            html += this.renderZoneBreakdown(zones);
+        }
+
+        html += `</div>`;
+        resultText.innerHTML = html;
+        if (deviceCount) deviceCount.textContent = this.app.formatNumber(estimatedDevices);
+        this.displayQuote(quote);
+        estimateResult.classList.remove('hidden');
+
+        // Scroll to results
+        if (scroll) {
+            setTimeout(() => {
+                estimateResult.scrollIntoView({ behavior: 'smooth' });
+            }, 100);
+        }
+    }
+
+    renderZoneBreakdown(zones) {
+        const rows = zones.map((zone, index) => `
+                    <tr class="border-b border-blue-100">
+                        <td class="py-2 pr-2"><strong>${this.app.escapeHTML(this.getZoneName(zone, index))}</strong><br>
+                            <span class="text-xs text-gray-500">${this.formatFloor(zone.floor)} · ${this.getRuleLabel('buildingTypes', zone.buildingTypeId)} · ${this.getRuleLabel('usageProfiles', zone.usageProfileId)}</span></td>
+                        <td class="py-2 px-2 text-right">${this.app.formatNumber(this.fromSqft(zone.area))}</td>
+                        <td class="py-2 px-2 text-right">${zone.accessPoints}</td>
+                        <td class="py-2 px-2 text-right">${this.app.formatNumber(zone.estimatedDevices)}</td>
+                        <td class="py-2 pl-2 text-right">${zone.drops}</td>
+                    </tr>
+        `).join('');
+
+        return `
+                <table class="w-full text-sm mt-2">
+                    <thead>
+                        <tr class="text-left text-gray-600">
+                            <th class="pb-1 pr-2 font-semibold">${this.app.t('results.zoneTable.zone')}</th>
+                            <th class="pb-1 px-2 font-semibold text-right">${this.app.constants.AREA_UNITS[this.areaUnit].areaLabel}</th>
+                            <th class="pb-1 px-2 font-semibold text-right">${this.app.t('results.zoneTable.accessPoints')}</th>
+                            <th class="pb-1 px-2 font-semibold text-right">${this.app.t('results.zoneTable.devices')}</th>
+                            <th class="pb-1 pl-2 font-semibold text-right">${this.app.t('results.zoneTable.drops')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+        `;
+    }
+
+    displayQuote(quote) {
+        if (!this.elements.quoteBreakdown) return;
+
+        const rows = quote.lineItems.map(item => `
+                <tr class="border-b border-blue-100">
+                    <td class="py-2 pr-2">${this.getQuoteItemLabel(item)}</td>
+                    <td class="py-2 px-2 text-right whitespace-nowrap">${this.app.formatNumber(item.quantity)} ${this.getQuoteItemUnit(item)}</td>
+                    <td class="py-2 pl-2 text-right whitespace-nowrap">${this.app.formatCurrency(item.total)}</td>
+                </tr>
+        `).join('');
+
+        this.elements.quoteBreakdown.innerHTML = `
+            <h5 class="font-heading font-bold mb-2">${this.app.t('quote.heading')}</h5>
+            <table class="w-full text-sm">
+                <tbody>${rows}</tbody>
+                <tfoot>
+                    <tr>
+                        <td colspan="2" class="pt-3 pr-2 text-right">${this.app.t('quote.subtotal')}</td>
+                        <td class="pt-3 pl-2 text-right whitespace-nowrap">${this.app.formatCurrency(quote.subtotal)}</td>
+                    </tr>
+                    <tr>
+                        <td colspan="2" class="py-1 pr-2 text-right">${this.app.t('quote.vat', { rate: Math.round(PRICE_CATALOG.vatRate * 100) })}</td>
+                        <td class="py-1 pl-2 text-right whitespace-nowrap">${this.app.formatCurrency(quote.vat)}</td>
+                    </tr>
+                    <tr class="font-semibold">
+                        <td colspan="2" class="py-1 pr-2 text-right">${this.app.t('quote.total')}</td>
+                        <td class="py-1 pl-2 text-right whitespace-nowrap">${this.app.formatCurrency(quote.total)}</td>
+                    </tr>
+                </tfoot>
+            </table>
+            <p class="mt-3 font-semibold text-blue-700">${this.app.t('quote.budgetRange', 
+                { low: this.app.formatCurrency(quote.low), high: this.app.formatCurrency(quote.high) })}</p>
+            <p class="text-xs text-gray-500 mt-1">${this.app.t('quote.disclaimer')}</p>
+        `;
+    }
+
+    // Price catalog wording is English; other languages translate it by item key
+    getQuoteItemLabel(item) {
+        return this.app.t(`quote.items.${item.key}`, { defaultValue: item.label });
+    }
+
+    getQuoteItemUnit(item) {
+        const { unit } = PRICE_CATALOG.items[item.key];
+        return this.app.t(`quote.units.${unit}`, { count: item.quantity, defaultValue: item.unit });
+    }
+
+    async handleCTA(event) {
+        event.preventDefault();
+        this.app.trackEvent('it_cta_click', 'IT Infrastructure Assessment');
+        
+        if (!this.validateZones() || !this.validateContact()) return;
+
+        try {
+            const formData = this.getFormData();
+            const form = this.elements.form;
+            if (!(await this.app.passesSpamCheck(form, formData))) return;
+
+            const results = this.getCalculator().calculateITNeeds(formData);
+            const quote = this.getCalculator().buildQuote(results);
+            const result = await this.sendLead(formData, results, quote);
+            if (result?.delivered || result?.queued) this.app.spamGuard?.record(form, formData);
+        } catch (error) {
+            console.error('Error sending IT assessment:', error);
+            this.app.showErrorToast(this.app.t('toast.sendFailed'), {
+                actions: [{ label: this.app.t('toast.retry'), onClick: () => this.elements.ctaButton.click() }]
+            });
+        }
+    }
+
+    // =====================
+    // SHAREABLE RESULTS
+    // =====================
+    setupSharedAssessment() {
+        this.renderScenarios();
+        this.openSharedAssessment();
+        window.addEventListener('hashchange', () => this.openSharedAssessment());
+    }
+
+    openSharedAssessment() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const encoded = params.get(this.constants.ASSESSMENT_HASH_KEY);
+        if (!encoded) return;
+
+        const formData = this.decodeAssessment(encoded);
+        if (!formData) {
+            this.app.showErrorToast(this.app.t('toast.linkInvalid'));
+            return;
+        }
+
+        try {
+            this.populateForm(formData);
+            this.runAssessment(formData);
+            this.app.trackEvent('it_assessment_link_opened', 'IT Infrastructure Assessment');
+        } catch (error) {
+            console.error('Error opening shared assessment:', error);
+            this.app.showErrorToast(this.app.t('toast.linkOpenFailed'));
+        }
+    }
+
+    /**
+     * Pack the assessment inputs into a short URL-safe string. Contact details
+     * are left out so a link can be forwarded without exposing them.
+     */
+    encodeAssessment(formData) {
+        const round = value => Math.round(value * 100) / 100;
+        const { cctv, accessControl, telephony, cabling } = formData;
+
+        const state = {
+            v: this.constants.ASSESSMENT_LINK_VERSION,
+            u: formData.areaUnit,
+            z: formData.zones.map(zone => [zone.name, zone.floor, round(zone.area), zone.buildingTypeId, zone.usageProfileId]),
+            s: [formData.needsCabling, formData.needsCCTV, formData.needsAccessControl, formData.needsTelephony]
+                .map(Number).join(''),
+            c: [round(cctv.perimeter), cctv.entryPoints, cctv.retentionDays],
+            a: [accessControl.doors, Number(accessControl.exitReaders)],
+            t: [telephony.staff],
+            d: [cabling.extraDrops]
+        };
+
+        const bytes = new TextEncoder().encode(JSON.stringify(state));
+        return btoa(String.fromCharCode(...bytes))
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    decodeAssessment(encoded) {
+        try {
+            const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+            const state = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+            if (state.v !== this.constants.ASSESSMENT_LINK_VERSION || !this.app.constants.AREA_UNITS[state.u] 
+                || !Array.isArray(state.z) || !state.z.length) {
+                return null;
+            }
+
+            const [needsCabling, needsCCTV, needsAccessControl, needsTelephony] = [...state.s].map(bit => bit === '1');
+            const zones = state.z.map(([name, floor, area, buildingTypeId, usageProfileId]) => this.getCalculator().describeZone({
+                name: String(name),
+                floor: Math.max(0, parseInt(floor, 10) || 0),
+                area: Number(area),
+                buildingTypeId,
+                usageProfileId
+            }));
+            if (zones.some(zone => !(zone.area > 0) || !zone.buildingType || !zone.usageProfile)) return null;
+
+            return {
+                fullName: '',
+                phone: '',
+                areaUnit: state.u,
+                zones,
+                needsCabling, needsCCTV, needsAccessControl, needsTelephony,
+                cctv: {
+                    perimeter: Number(state.c[0]) || 0,
+                    entryPoints: Number(state.c[1]) || 0,
+                    retentionDays: Number(state.c[2]) || ASSESSMENT_RULES.services.cctv.DEFAULT_RETENTION_DAYS
+                },
+                accessControl: { doors: Number(state.a[0]) || 0, exitReaders: state.a[1] === 1 },
+                telephony: { staff: Number(state.t[0]) || 0 },
+                cabling: { extraDrops: Number(state.d[0]) || 0 }
+            };
+        } catch (error) {
+            console.error('Error reading assessment link:', error);
+            return null;
+        }
+    }
+
+    getAssessmentLink(formData) {
+        const url = new URL(window.location.href);
+        url.hash = `${this.constants.ASSESSMENT_HASH_KEY}=${this.encodeAssessment(formData)}`;
+        return url.href;
+    }
+
+    populateForm(formData) {
+        const setValue = (id, value) => {
+            const input = this.root.querySelector(`#${id}`);
+            if (input) input.value = value || '';
+        };
+        const setZoneField = (zone, name, value) => {
+            const input = zone.querySelector(`[name="${name}"]`);
+            if (input) input.value = value ?? '';
+        };
+        const toUnit = (value, factor) => value ? Math.round(value / factor * 100) / 100 : '';
+
+        // Switch unit first so the zone areas below are written in the right unit
+        const unitRadio = this.root.querySelector(`input[name="areaUnit"][value="${formData.areaUnit}"]`);
+        if (unitRadio) unitRadio.checked = true;
+        this.setAreaUnit(formData.areaUnit);
+        const { sqftPerUnit, ftPerUnit } = this.app.constants.AREA_UNITS[this.areaUnit];
+
+        this.getZoneElements().forEach(zone => zone.remove());
+        formData.zones.forEach(data => {
+            const zone = this.addZone();
+            if (!zone) return;
+            setZoneField(zone, 'zoneName', data.name);
+            setZoneField(zone, 'zoneFloor', data.floor);
+            setZoneField(zone, 'zoneArea', toUnit(data.area, sqftPerUnit));
+            setZoneField(zone, 'zoneBuildingType', data.buildingTypeId);
+            setZoneField(zone, 'zoneUsage', data.usageProfileId);
+        });
+
+        const services = {
+            structuredCabling: formData.needsCabling,
+            cctv: formData.needsCCTV,
+            accessControl: formData.needsAccessControl,
+            telephony: formData.needsTelephony
+        };
+        Object.entries(services).forEach(([name, checked]) => {
+            const checkbox = this.root.querySelector(`input[name="${name}"]`);
+            if (!checkbox) return;
+            checkbox.checked = checked;
+            this.toggleServiceOptions(checkbox);
+        });
+
+        setValue('cctvPerimeter', toUnit(formData.cctv.perimeter, ftPerUnit));
+        setValue('cctvEntryPoints', formData.cctv.entryPoints);
+        setValue('cctvRetention', formData.cctv.retentionDays);
+        setValue('acDoors', formData.accessControl.doors);
+        setValue('telStaff', formData.telephony.staff);
+        setValue('cablingExtraDrops', formData.cabling.extraDrops);
+        const exitReaders = this.root.querySelector('#acExitReaders');
+        if (exitReaders) exitReaders.checked = formData.accessControl.exitReaders;
+    }
+
+    async handleCopyLink() {
+        if (!this.lastAssessment) return;
+        const link = this.getAssessmentLink(this.lastAssessment.formData);
+
+        try {
+            await navigator.clipboard.writeText(link);
+            this.app.showToast(this.app.t('toast.linkCopied'), { type: 'success' });
+            this.app.trackEvent('it_assessment_link_copied', 'IT Infrastructure Assessment');
+        } catch (error) {
+            console.error('Error copying assessment link:', error);
+            window.history.replaceState(window.history.state, '', link);
+            this.app.showErrorToast(this.app.t('toast.linkCopyFailed'));
+        }
+    }
+
+    // =====================
+    // SCENARIO COMPARISON
+    // =====================
+    loadScenarios() {
+        try {
+            return JSON.parse(localStorage.getItem(this.constants.SCENARIO_STORAGE_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    storeScenarios(scenarios) {
+        try {
+            localStorage.setItem(this.constants.SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+            return true;
+        } catch (error) {
+            console.error('Error saving scenarios:', error);
+            this.app.showErrorToast(this.app.t('toast.scenarioSaveFailed'));
+            return false;
+        }
+    }
+
+    handleSaveScenario() {
+        if (!this.lastAssessment) return;
+
+        const scenarios = this.loadScenarios();
+        const name = this.elements.scenarioName?.value.trim() || this.app.t('scenarios.defaultName', { number: scenarios.length + 1 });
+        const scenario = {
+            id: String(Date.now()),
+            name,
+            state: this.encodeAssessment(this.lastAssessment.formData),
+            savedAt: Date.now()
+        };
+
+        // Oldest scenarios make way once the limit is reached
+        const updated = [...scenarios, scenario].slice(-this.constants.SCENARIO_LIMIT);
+        if (!this.storeScenarios(updated)) return;
+
+        if (this.elements.scenarioName) this.elements.scenarioName.value = '';
+
+        // Compare the new scenario with the one saved before it
+        this.renderScenarios({ left: updated[updated.length - 2]?.id, right: scenario.id });
+        this.app.showToast(this.app.t(updated.length > 1 ? 'toast.scenarioSaved' : 'toast.scenarioSavedFirst', { name }), 
+            { type: 'success' });
+        this.app.trackEvent('it_scenario_saved', name);
+    }
+
+    handleScenarioAction(action, id) {
+        const scenarios = this.loadScenarios();
+        const scenario = scenarios.find(item => item.id === id);
+        if (!scenario) return;
+
+        if (action === 'remove') {
+            this.storeScenarios(scenarios.filter(item => item !== scenario));
+            this.renderScenarios();
+            return;
+        }
+
+        const formData = this.decodeAssessment(scenario.state);
+        if (!formData) {
+            this.app.showErrorToast(this.app.t('toast.scenarioOutdated'));
+            return;
+        }
+        this.populateForm(formData);
+        this.runAssessment(formData);
+        window.history.replaceState(window.history.state, '', this.getAssessmentLink(formData));
+        this.elements.estimateResult?.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    renderScenarios(selection = {}) {
+        const { scenarioComparison, savedScenarios, comparisonControls, compareLeft, compareRight } = this.elements;
+        if (!scenarioComparison || !savedScenarios) return;
+
+        const scenarios = this.loadScenarios();
+        scenarioComparison.classList.toggle('hidden', !scenarios.length);
+        comparisonControls?.classList.toggle('hidden', scenarios.length < 2);
+
+        savedScenarios.innerHTML = scenarios.map(scenario => `
+            <li class="flex items-center justify-between gap-3 text-sm">
+                <span><strong>${this.app.escapeHTML(scenario.name)}</strong> 
+                    <span class="text-gray-500">${this.app.t('scenarios.savedAt', { time: this.app.formatTime(scenario.savedAt) })}</span></span>
+                <span class="flex gap-3">
+                    <button type="button" class="text-blue-700 hover:underline" data-scenario-action="load" 
+                            data-scenario-id="${scenario.id}">${this.app.t('scenarios.load')}</button>
+                    <button type="button" class="text-red-600 hover:underline" data-scenario-action="remove" 
+                            data-scenario-id="${scenario.id}">${this.app.t('scenarios.remove')}</button>
+                </span>
+            </li>
+        `).join('');
+
+        // Keep the current picks where possible, otherwise compare the two most recent
+        const options = scenarios.map(scenario => 
+            `<option value="${scenario.id}">${this.app.escapeHTML(scenario.name)}</option>`).join('');
+        const pick = (select, preferred, fallback) => {
+            if (!select) return;
+            const ids = scenarios.map(scenario => scenario.id);
+            const current = select.value;
+            select.innerHTML = options;
+            select.value = [preferred, current, fallback].find(id => id && ids.includes(id)) || '';
+        };
+        pick(compareLeft, selection.left, scenarios[scenarios.length - 2]?.id);
+        pick(compareRight, selection.right, scenarios[scenarios.length - 1]?.id);
+
+        this.renderComparisonTable();
+    }
+
+    renderComparisonTable() {
+        if (!this.elements.comparisonTable) return;
+
+        const scenarios = this.loadScenarios();
+        const picked = [this.elements.compareLeft?.value, this.elements.compareRight?.value]
+            .map(id => scenarios.find(scenario => scenario.id === id));
+
+        if (scenarios.length < 2 || picked.some(scenario => !scenario)) {
+            this.elements.comparisonTable.innerHTML = '';
+            return;
+        }
+
+        const columns = picked.map(scenario => {
+            const formData = this.decodeAssessment(scenario.state);
+            if (!formData) return null;
+            const results = this.getCalculator().calculateITNeeds(formData);
+            return { scenario, formData, results, quote: this.getCalculator().buildQuote(results) };
+        });
+        if (columns.some(column => !column)) {
+            this.elements.comparisonTable.innerHTML = 
+                `<p class="text-sm text-gray-600">${this.app.t('compare.outdated')}</p>`;
+            return;
+        }
+
+        const rows = [
+            ['zones', ({ results }) => results.zones.length],
+            ['totalArea', ({ results }) => this.formatArea(results.area)],
+            ['usage', ({ formData }) => [...new Set(formData.zones.map(zone => 
+                this.getRuleLabel('usageProfiles', zone.usageProfileId)))].join(', ')],
+            ['accessPoints', ({ results }) => results.accessPoints],
+            ['devices', ({ results }) => this.app.formatNumber(results.estimatedDevices)],
+            ['workstations', ({ results }) => results.recommendedWorkstations],
+            ['servers', ({ results }) => results.recommendedServers],
+            ['services', ({ results }) => this.describeServiceNeeds(results.services).map(({ label }) => label).join(', ') 
+                || this.app.t('compare.none')],
+            ['total', ({ quote }) => this.app.formatCurrency(quote.total)],
+            ['budgetRange', ({ quote }) => `${this.app.formatCurrency(quote.low)} – ${this.app.formatCurrency(quote.high)}`]
+        ];
+
+        this.elements.comparisonTable.innerHTML = `
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="border-b">
+                        <th scope="col" class="text-left py-2"><span class="sr-only">${this.app.t('compare.item')}</span></th>
+                        ${columns.map(({ scenario }) => 
+                            `<th scope="col" class="text-left py-2">${this.app.escapeHTML(scenario.name)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([labelKey, getValue]) => {
+                        const values = columns.map(getValue);
+                        const differs = values[0] !== values[1];
+                        return `
+                    <tr class="border-b border-gray-100 ${differs ? 'font-semibold' : ''}">
+                        <th scope="row" class="text-left font-normal text-gray-600 py-2 pr-4">${this.app.t(`compare.${labelKey}`)}</th>
+                        ${values.map(value => `<td class="py-2 pr-4">${this.app.escapeHTML(value)}</td>`).join('')}
+                    </tr>`;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // =====================
+    // PROPOSAL DOCUMENT
+    // =====================
+    handleProposalDownload(event) {
+        event.preventDefault();
+
+        if (!this.elements.proposalDocument || !this.validateZones() || !this.validateContact()) return;
+
+        try {
+            const formData = this.getFormData();
+            const results = this.getCalculator().calculateITNeeds(formData);
+            const quote = this.getCalculator().buildQuote(results);
+
+            this.elements.proposalDocument.innerHTML = this.buildProposalHTML(formData, results, quote);
+            document.body.classList.add('printing-proposal');
+            window.print();
+            this.app.trackEvent('it_proposal_download', 'IT Infrastructure Proposal');
+        } catch (error) {
+            console.error('Error generating proposal:', error);
+            this.app.showErrorToast(this.app.t('toast.proposalFailed'), {
+                actions: [{ label: this.app.t('toast.retry'), onClick: () => this.elements.proposalButton.click() }]
+            });
+        }
+    }
+
+    buildProposalHTML(formData, results, quote) {
+        const { zones, area, accessPoints, estimatedDevices, recommendedServers, recommendedWorkstations } = results;
+        const { PROPOSAL_VALIDITY_DAYS, LOGO_PATH, TERMS_PATH } = this.constants;
+        const { CONTACT_PHONE, CONTACT_EMAIL } = this.app.constants;
+
+        const issued = new Date();
+        const validUntil = new Date(issued.getTime() + PROPOSAL_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+        const reference = `WW-${issued.toISOString().slice(0, 10).replace(/-/g, '')}-${String(issued.getTime()).slice(-4)}`;
+        const termsUrl = new URL(TERMS_PATH, window.location.origin).href;
+
+        const zoneRows = zones.map((zone, index) => `
+                <tr class="border-b">
+                    <td class="py-1 pr-2">${this.app.escapeHTML(this.getZoneName(zone, index))}</td>
+                    <td class="py-1 px-2">${this.formatFloor(zone.floor)}</td>
+                    <td class="py-1 px-2">${this.getRuleLabel('buildingTypes', zone.buildingTypeId)}</td>
+                    <td class="py-1 px-2">${this.getRuleLabel('usageProfiles', zone.usageProfileId)}</td>
+                    <td class="py-1 pl-2 text-right">${this.formatArea(zone.area)}</td>
+                </tr>
+        `).join('');
+
+        const serviceItems = this.describeServiceNeeds(results.services)
+            .map(({ label, summary }) => `<li><strong>${label}:</strong> ${summary}</li>`)
+            .join('');
+
+        const quoteRows = quote.lineItems.map(item => `
+                <tr class="border-b">
+                    <td class="py-1 pr-2">${this.getQuoteItemLabel(item)}</td>
+                    <td class="py-1 px-2 text-right">${this.app.formatNumber(item.quantity)} ${this.getQuoteItemUnit(item)}</td>
+                    <td class="py-1 px-2 text-right">${this.app.formatCurrency(item.unitPrice)}</td>
+                    <td class="py-1 pl-2 text-right">${this.app.formatCurrency(item.total)}</td>
+                </tr>
+        `).join('');
+
+        return `
+            <article class="font-body text-gray-900 text-sm p-8 max-w-3xl mx-auto">
+                <header class="flex justify-between items-start border-b-2 border-blue-700 pb-4 mb-6">
+                    <img src="${LOGO_PATH}" alt="WiredWise" class="h-14">
+                    <div class="text-right">
+                        <h1 class="font-heading text-2xl font-bold">${this.app.t('proposal.title')}</h1>
+                        <p>${this.app.t('proposal.reference', { reference })}</p>
+                        <p>${this.app.t('proposal.issued', { date: this.app.formatDate(issued) })}</p>
+                        <p>${this.app.t('proposal.model', { version: ASSESSMENT_RULES.version })}</p>
+                        <p><strong>${this.app.t('proposal.validUntil', { date: this.app.formatDate(validUntil) })}</strong></p>
+                    </div>
+                </header>
+
+                <section class="mb-6">
+                    <h2 class="font-heading text-lg font-bold mb-2">${this.app.t('proposal.preparedFor')}</h2>
+                    <p>${this.app.escapeHTML(formData.fullName)}</p>
+                    <p>${this.app.escapeHTML(formData.phone)}</p>
+                </section>
+
+                <section class="mb-6">
+                    <h2 class="font-heading text-lg font-bold mb-2">${this.app.t('proposal.siteDetails')}</h2>
+                    <p class="mb-2">${this.app.t('proposal.totalArea', { area: this.formatArea(area, true) })}</p>
+                    <table class="w-full">
+                        <thead>
+                            <tr class="text-left border-b">
+                                <th class="py-1 pr-2">${this.app.t('proposal.zone')}</th>
+                                <th class="py-1 px-2">${this.app.t('proposal.floor')}</th>
+                                <th class="py-1 px-2">${this.app.t('proposal.construction')}</th>
+                                <th class="py-1 px-2">${this.app.t('proposal.usage')}</th>
+                                <th class="py-1 pl-2 text-right">${this.app.t('proposal.area')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>${zoneRows}</tbody>
+                    </table>
+                </section>
+
+                <section class="mb-6">
+                    <h2 class="font-heading text-lg font-bold mb-2">${this.app.t('proposal.equipment')}</h2>
+                    <ul class="list-disc pl-5 space-y-1">
+                        <li>${this.app.t('proposal.accessPoints', { count: accessPoints })}</li>
+                        <li>${this.app.t('proposal.workstationsAndServers', {
+                            workstations: this.app.t('results.workstations', { count: recommendedWorkstations }),
+                            servers: this.app.t('results.servers', { count: recommendedServers })
+                        })}</li>
+                        <li>${this.app.t('proposal.devices', { count: estimatedDevices })}</li>
+                    </ul>
+                </section>
+
+                ${serviceItems ? `
+                <section class="mb-6">
+                    <h2 class="font-heading text-lg font-bold mb-2">${this.app.t('proposal.selectedServices')}</h2>
+                    <ul class="list-disc pl-5 space-y-1">${serviceItems}</ul>
+                </section>` : ''}
+
+                <section class="mb-6">
+                    <h2 class="font-heading text-lg font-bold mb-2">${this.app.t('proposal.investment')}</h2>
+                    <table class="w-full">
+                        <thead>
+                            <tr class="text-left border-b">
+                                <th class="py-1 pr-2">${this.app.t('proposal.item')}</th>
+                                <th class="py-1 px-2 text-right">${this.app.t('proposal.quantity')}</th>
+                                <th class="py-1 px-2 text-right">${this.app.t('proposal.unitPrice')}</th>
+                                <th class="py-1 pl-2 text-right">${this.app.t('proposal.amount')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>${quoteRows}</tbody>
+                        <tfoot>
+                            <tr><td colspan="3" class="pt-2 pr-2 text-right">${this.app.t('quote.subtotal')}</td><td class="pt-2 pl-2 text-right">${this.app.formatCurrency(quote.subtotal)}</td></tr>
+                            <tr><td colspan="3" class="pr-2 text-right">${this.app.t('quote.vat', { rate: Math.round(PRICE_CATALOG.vatRate * 100) })}</td><td class="pl-2 text-right">${this.app.formatCurrency(quote.vat)}</td></tr>
+                            <tr class="font-bold"><td colspan="3" class="pr-2 text-right">${this.app.t('quote.total')}</td><td class="pl-2 text-right">${this.app.formatCurrency(quote.total)}</td></tr>
+                        </tfoot>
+                    </table>
+                    <p class="mt-2">${this.app.t('proposal.budgetRange', { low: this.app.formatCurrency(quote.low), high: this.app.formatCurrency(quote.high) })}</p>
+                </section>
+
+                <footer class="border-t pt-4 text-xs text-gray-600 space-y-1">
+                    <p>${this.app.t('proposal.disclaimer', { date: this.app.formatDate(validUntil) })}</p>
+                    <p>${this.app.t('proposal.terms')} <a href="${termsUrl}" class="text-blue-700 underline">${termsUrl}</a></p>
+                    <p>WiredWise · Corner 2, Kiganjo, Thika, Kenya · ${CONTACT_PHONE} · ${CONTACT_EMAIL}</p>
+                </footer>
+            </article>
+        `;
+    }
+
+    async sendLead(formData, results, quote) {
+        try {
+            const { needsCabling, needsCCTV, needsAccessControl, needsTelephony } = formData;
+            const score = this.app.getLeadScorer().score('itAssessment', {
+                area: results.area,
+                serviceCount: [needsCabling, needsCCTV, needsAccessControl, needsTelephony].filter(Boolean).length,
+                zoneCount: results.zones.length
+            });
+
+            return await this.app.dispatchLead(this.app.getLeadMessages().buildITAssessmentLead(formData, results, quote, {
+                score,
+                language: this.app.i18n.locale,
+                rulesVersion: ASSESSMENT_RULES.version
+            }));
+        } catch (error) {
+            console.error('Error sending IT assessment:', error);
+            this.app.showWhatsAppError();
+        }
+    }
+
+    formatFloor(floor) {
+        return floor === 0 ? this.app.t('zones.groundFloor') : this.app.t('zones.floor', { floor });
+    }
+
+    fromSqft(sqft) {
+        return sqft / this.app.constants.AREA_UNITS[this.areaUnit].sqftPerUnit;
+    }
+
+    formatArea(sqft, withBothUnits = false) {
+        const { areaLabel } = this.app.constants.AREA_UNITS[this.areaUnit];
+        const formatted = `${this.app.formatNumber(this.fromSqft(sqft))} ${areaLabel}`;
+
+        // The proposal always carries sq ft too, whichever unit the customer used
+        return withBothUnits && this.areaUnit !== 'sqft' 
+            ? `${formatted} (${this.app.formatNumber(sqft)} sq. ft)` 
+            : formatted;
+    }
+}
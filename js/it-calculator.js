@@ -0,0 +1,209 @@
+/**
+ * IT Calculator - sizes a site's network, services and cost from its zones
+ * Works on plain answers (areas in sq ft) and returns plain numbers, so it
+ * needs no page to run. The model comes from js/assessment-rules.js and the
+ * prices from js/price-catalog.js.
+ */
+
+class ITCalculator {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.rules] - coverage model, defaults to ASSESSMENT_RULES
+     * @param {Object} [options.catalog] - prices, defaults to PRICE_CATALOG
+     */
+    constructor({ rules = ASSESSMENT_RULES, catalog = PRICE_CATALOG } = {}) {
+        this.rules = rules;
+        this.catalog = catalog;
+    }
+
+    getRule(listName, id) {
+        return this.rules[listName].find(rule => rule.id === id);
+    }
+
+    // Attach the English labels for a zone's building type and usage profile
+    describeZone(zone) {
+        return {
+            ...zone,
+            buildingType: this.getRule('buildingTypes', zone.buildingTypeId)?.label,
+            usageProfile: this.getRule('usageProfiles', zone.usageProfileId)?.label
+        };
+    }
+
+    /**
+     * Size the whole site. Each zone is sized on its own; servers and the
+     * optional services are worked out for the site as a whole.
+     * @param {Object} data - zones ({ area, floor, buildingTypeId, usageProfileId }),
+     *   needs* flags and the answers for each service
+     * @returns {Object} totals, the sized zones and `services` (null when not needed)
+     */
+    calculateITNeeds(data) {
+        const zones = data.zones.map(zone => ({ ...zone, ...this.calculateZoneNeeds(zone) }));
+        const sum = key => zones.reduce((total, zone) => total + zone[key], 0);
+
+        // Servers are shared across the whole site
+        const area = sum('area');
+        const recommendedServers = Math.max(1, Math.ceil(area / this.rules.coverage.SERVER_FACTOR_SQFT));
+
+        const base = {
+            zones,
+            area,
+            floors: new Set(zones.map(zone => zone.floor)).size,
+            accessPoints: sum('accessPoints'),
+            estimatedDevices: sum('estimatedDevices'),
+            recommendedServers,
+            recommendedWorkstations: sum('recommendedWorkstations'),
+            drops: sum('drops')
+        };
+        return { ...base, services: this.calculateServiceNeeds(data, base) };
+    }
+
+    calculateZoneNeeds({ area, buildingTypeId, usageProfileId }) {
+        const { BASE_COVERAGE, DEVICES_PER_100_SQFT, WORKSTATION_FACTOR_SQFT } = this.rules.coverage;
+        const buildingFactor = this.getRule('buildingTypes', buildingTypeId).factor;
+        const usageFactor = this.getRule('usageProfiles', usageProfileId).factor;
+
+        const accessPoints = Math.max(1, Math.ceil((area * buildingFactor * usageFactor) / BASE_COVERAGE));
+        const estimatedDevices = Math.max(1, Math.floor(area / 100 * usageFactor * DEVICES_PER_100_SQFT));
+        const recommendedWorkstations = Math.max(1, Math.ceil(area / WORKSTATION_FACTOR_SQFT));
+
+        // One network drop per access point and workstation
+        const drops = accessPoints + recommendedWorkstations;
+
+        return { accessPoints, estimatedDevices, recommendedWorkstations, drops };
+    }
+
+    calculateServiceNeeds(data, base) {
+        const cctv = data.needsCCTV ? this.calculateCCTVNeeds(data.cctv) : null;
+
+        return {
+            cctv,
+            accessControl: data.needsAccessControl ? this.calculateAccessControlNeeds(data.accessControl) : null,
+            telephony: data.needsTelephony ? this.calculateTelephonyNeeds(data.telephony, base) : null,
+            cabling: data.needsCabling ? this.calculateCablingNeeds(data.cabling, base, cctv) : null
+        };
+    }
+
+    calculateCCTVNeeds({ perimeter, entryPoints, retentionDays }) {
+        const { PERIMETER_FT_PER_CAMERA, GB_PER_CAMERA_DAY, NVR_CHANNELS, MIN_CAMERAS } = this.rules.services.cctv;
+
+        // One camera per entry point plus perimeter coverage
+        const cameras = Math.max(MIN_CAMERAS, Math.ceil(entryPoints) + Math.ceil(perimeter / PERIMETER_FT_PER_CAMERA));
+        const nvrs = Math.ceil(cameras / NVR_CHANNELS);
+        const storageTB = Math.ceil((cameras * GB_PER_CAMERA_DAY * retentionDays) / 1000);
+
+        return { cameras, nvrs, storageTB, retentionDays };
+    }
+
+    calculateAccessControlNeeds({ doors, exitReaders }) {
+        const doorCount = Math.max(1, Math.ceil(doors));
+        const controllers = Math.ceil(doorCount / this.rules.services.accessControl.DOORS_PER_CONTROLLER);
+        const readers = exitReaders ? doorCount * 2 : doorCount;
+
+        return { doors: doorCount, controllers, readers };
+    }
+
+    calculateTelephonyNeeds({ staff }, base) {
+        const { EXTENSION_SPARE_RATIO, USERS_PER_TRUNK_LINE, MIN_TRUNK_LINES, PBX_SIZES } = this.rules.services.telephony;
+
+        // Default to one extension per recommended workstation
+        const users = Math.max(1, Math.ceil(staff) || base.recommendedWorkstations);
+        const extensions = users + Math.ceil(users * EXTENSION_SPARE_RATIO);
+        const pbxSize = PBX_SIZES.find(size => size >= extensions) || extensions;
+        const trunkLines = Math.max(MIN_TRUNK_LINES, Math.ceil(users / USERS_PER_TRUNK_LINE));
+
+        return { users, extensions, pbxSize, trunkLines };
+    }
+
+    calculateCablingNeeds({ extraDrops }, base, cctv) {
+        const { SWITCH_PORTS, PATCH_PANEL_PORTS, CABLE_METRES_PER_DROP,
+                WALL_RACK_SIZES, FLOOR_RACK_UNITS } = this.rules.services.cabling;
+
+        // Every workstation, access point and IP camera gets its own run
+        const drops = base.drops + (cctv ? cctv.cameras : 0) + Math.ceil(extraDrops);
+        const cableMetres = drops * CABLE_METRES_PER_DROP;
+        const patchPanels = Math.ceil(drops / PATCH_PANEL_PORTS);
+        const switches = Math.ceil(drops / SWITCH_PORTS);
+
+        // Panels, switches and one cable manager per panel, plus 2U spare
+        // per rack. Each floor gets its own rack so runs stay on that floor.
+        const rackUnits = patchPanels * 2 + switches + base.floors * 2;
+        const unitsPerFloor = Math.ceil(rackUnits / base.floors);
+        const wallRack = WALL_RACK_SIZES.find(size => size >= unitsPerFloor);
+        const racks = wallRack ? base.floors : Math.max(base.floors, Math.ceil(rackUnits / FLOOR_RACK_UNITS));
+        const rackHeight = wallRack || FLOOR_RACK_UNITS;
+        const rackMount = wallRack ? 'wall' : 'floor';
+
+        return { drops, cableMetres, patchPanels, switches, rackUnits, racks, rackHeight, rackMount };
+    }
+
+    /**
+     * Price the equipment and labour for a sized site.
+     * @param {Object} results - from calculateITNeeds()
+     * @returns {{ currency: string, lineItems: Object[], subtotal: number, vat: number, total: number, low: number, high: number }}
+     */
+    buildQuote(results) {
+        const { accessPoints, recommendedWorkstations, services } = results;
+        const { cctv, accessControl, telephony, cabling } = services;
+        const { items, assumptions, vatRate, range } = this.catalog;
+
+        // Work out quantities for every catalog item the site needs
+        const quantities = {
+            accessPoint: accessPoints,
+            networkSwitch: cabling ? cabling.switches
+                : Math.max(1, Math.ceil((accessPoints + recommendedWorkstations) / this.rules.services.cabling.SWITCH_PORTS))
+        };
+
+        if (cabling) {
+            quantities.cabling = cabling.cableMetres;
+            quantities.patchPanel = cabling.patchPanels;
+            quantities.rack = cabling.racks;
+        }
+        if (cctv) {
+            quantities.cctvCamera = cctv.cameras;
+            quantities.nvr = cctv.nvrs;
+            quantities.surveillanceStorage = cctv.storageTB;
+        }
+        if (accessControl) {
+            quantities.accessControlDoor = accessControl.doors;
+            quantities.accessController = accessControl.controllers;
+            if (accessControl.readers > accessControl.doors) {
+                quantities.exitReader = accessControl.readers - accessControl.doors;
+            }
+        }
+        if (telephony) {
+            quantities.ipPbx = 1;
+            quantities.ipPhone = telephony.extensions;
+        }
+
+        // Labour is sized on installed units; cable metres count as drops
+        const installs = Object.entries(quantities).reduce((sum, [key, qty]) => {
+            if (key === 'cabling') return sum + cabling.drops;
+            if (key === 'surveillanceStorage') return sum;
+            return sum + qty;
+        }, 0);
+        quantities.labourDay = Math.max(1, Math.ceil(installs / assumptions.INSTALLS_PER_LABOUR_DAY));
+
+        const lineItems = Object.entries(quantities).map(([key, quantity]) => ({
+            key,
+            label: items[key].label,
+            unit: quantity === 1 ? items[key].unit : (items[key].unitPlural || `${items[key].unit}s`),
+            quantity,
+            unitPrice: items[key].price,
+            total: quantity * items[key].price
+        }));
+
+        const subtotal = lineItems.reduce((sum, item) => sum + item.total, 0);
+        const vat = Math.round(subtotal * vatRate);
+        const total = subtotal + vat;
+
+        return {
+            currency: this.catalog.currency,
+            lineItems,
+            subtotal,
+            vat,
+            total,
+            low: Math.round(total * range.low),
+            high: Math.round(total * range.high)
+        };
+    }
+}
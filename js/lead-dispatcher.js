@@ -0,0 +1,105 @@
+/**
+ * Lead Dispatcher - delivers form submissions through interchangeable channels
+ * Channels are tried in the configured order and the first one that gets the
+ * lead out ends the chain, so each lead is sent once. Hand-off channels such
+ * as a WhatsApp deep link count as sent once opened, though the message only
+ * arrives when the visitor presses send; the result says whether delivery
+ * was confirmed (an HTTP POST that came back OK) or left with the visitor.
+ */
+
+const LEAD_CHANNELS = {
+    whatsapp: {
+        label: 'Open WhatsApp',
+        confirmsDelivery: false,
+        getLink(lead, config) {
+            return `https://wa.me/${config.whatsappNumber}?text=${encodeURIComponent(lead.message)}`;
+        },
+        async send(lead, config) {
+            // window.open returns null when a popup blocker swallows it
+            return Boolean(window.open(this.getLink(lead, config), '_blank'));
+        }
+    },
+
+    formspree: {
+        label: 'Send online',
+        confirmsDelivery: true,
+        async send(lead, config) {
+            if (!config.formEndpoint || !navigator.onLine) return false;
+
+            const response = await fetch(config.formEndpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify({ _subject: lead.subject, message: lead.message, ...lead.fields })
+            });
+            return response.ok;
+        }
+    },
+
+    email: {
+        label: 'Send by email',
+        confirmsDelivery: false,
+        getLink(lead, config) {
+            return `mailto:${config.email}?subject=${encodeURIComponent(lead.subject)}&body=${encodeURIComponent(lead.message)}`;
+        },
+        async send(lead, config) {
+            window.location.href = this.getLink(lead, config);
+            return true;
+        }
+    },
+
+    clipboard: {
+        label: 'Copy message',
+        confirmsDelivery: false,
+        async send(lead) {
+            if (!navigator.clipboard) return false;
+            await navigator.clipboard.writeText(lead.message);
+            return true;
+        }
+    }
+};
+
+class LeadDispatcher {
+    /**
+     * @param {Object} config
+     * @param {string[]} config.order - channel names to try, in order
+     * @param {string} config.whatsappNumber - number used by the WhatsApp channel
+     * @param {string} config.formEndpoint - URL the HTTP channel posts to
+     * @param {string} config.email - address used by the email channel
+     * @param {Object} [config.channels] - channel implementations, defaults to LEAD_CHANNELS
+     */
+    constructor(config) {
+        this.config = config;
+        this.channels = config.channels || LEAD_CHANNELS;
+    }
+
+    /**
+     * Try each channel until one succeeds.
+     * Resolves with { delivered, confirmed, attempts } and never rejects.
+     * @param {Object} lead - { subject, message, fields }
+     * @param {string[]} [order] - overrides the configured channel order
+     */
+    async dispatch(lead, order = this.config.order) {
+        const attempts = [];
+
+        for (const name of order) {
+            const channel = this.channels[name];
+            if (!channel) continue;
+
+            let ok = false;
+            try {
+                ok = await channel.send(lead, this.config);
+            } catch (error) {
+                console.error(`Lead channel "${name}" failed:`, error);
+            }
+
+            attempts.push({ channel: name, ok });
+            if (ok) return { delivered: true, confirmed: Boolean(channel.confirmsDelivery), attempts };
+        }
+
+        return { delivered: false, confirmed: false, attempts };
+    }
+
+    getChannel(name) {
+        return this.channels[name];
+    }
+}
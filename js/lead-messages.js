@@ -0,0 +1,257 @@
+/**
+ * Lead Messages - writes the WhatsApp/email text the sales team receives
+ * Takes the answers from either form and returns the lead ready for
+ * js/lead-dispatcher.js. Leads are always written in one language (English)
+ * whatever the visitor picked, with a line saying which one to reply in.
+ */
+
+const LEAD_MESSAGE_FOOTER = '_Generated by Digital Solutions App_';
+
+class LeadMessageBuilder {
+    /**
+     * @param {Object} [options]
+     * @param {Translator} [options.translator] - wording for floors, zones and service summaries
+     * @param {string} [options.locale] - catalog the leads are written from
+     * @param {PhoneNumberParser} [options.phoneParser] - adds a WhatsApp reply link for valid numbers
+     * @param {string} [options.numberLocale] - how numbers and money are written
+     * @param {Object} [options.areaUnits] - { areaLabel, sqftPerUnit } keyed by the form's area unit
+     */
+    constructor({ translator = new Translator(), locale = 'en', phoneParser = new PhoneNumberParser(),
+                  numberLocale = 'en-KE', areaUnits = { sqft: { areaLabel: 'sq. ft', sqftPerUnit: 1 } } } = {}) {
+        this.translator = translator;
+        this.locale = locale;
+        this.phoneParser = phoneParser;
+        this.numberLocale = numberLocale;
+        this.areaUnits = areaUnits;
+    }
+
+    /**
+     * @param {Object} formData - answers from the web development questionnaire
+     * @param {Object} context
+     * @param {Object} context.score - from LeadScorer
+     * @param {string} context.language - locale the visitor used
+     * @returns {{ subject: string, title: string, message: string, fields: Object }}
+     */
+    buildWebDevLead(formData, { score, language }) {
+        let message = this.formatLeadScore(score);
+        message += `*New Web Development Inquiry*\n\n`;
+        message += `👤 *Name:* ${formData.fullName}\n`;
+        message += this.formatPhoneLines(formData.phone);
+        if (formData.email) {
+            message += `📧 *Email:* ${formData.email}\n`;
+        }
+        message += this.formatLanguageLine(language);
+        message += `🌐 *Has Website:* ${formData.hasWebsite === 'yes' ? 'Yes' : 'No'}\n`;
+
+        if (formData.hasWebsite === 'yes' && formData.websiteUrl) {
+            message += `🔗 *Website URL:* ${formData.websiteUrl}\n`;
+        }
+
+        message += `\n*Project Details:*\n`;
+        message += `🛠️ *Project Type:* ${formData.projectType}\n`;
+        message += `🎯 *Primary Goal:* ${formData.primaryGoal}\n`;
+        message += `⏱️ *Timeline:* ${formData.timeline}\n`;
+
+        if (formData.hasWebsite === 'yes' && formData.problems.length) {
+            message += `\n*Reported Problems:*\n`;
+            formData.problems.forEach((p, i) => message += `➡️ ${i + 1}. ${p}\n`);
+        }
+
+        if (formData.hasWebsite === 'no' && formData.benefits.length) {
+            message += `\n*Desired Benefits:*\n`;
+            formData.benefits.forEach((b, i) => message += `✅ ${i + 1}. ${b}\n`);
+        }
+
+        message += `\n${LEAD_MESSAGE_FOOTER}`;
+
+        return {
+            subject: `[${score.label}] New Web Development Inquiry - ${formData.fullName}`,
+            title: this.formatTitle('webDev', formData.fullName, language),
+            message,
+            fields: { ...formData, language, leadRating: score.rating, leadReason: score.reason }
+        };
+    }
+
+    /**
+     * @param {Object} formData - answers from the IT assessment (areas in sq ft)
+     * @param {Object} results - from ITCalculator.calculateITNeeds()
+     * @param {Object} [quote] - from ITCalculator.buildQuote()
+     * @param {Object} context
+     * @param {Object} context.score - from LeadScorer
+     * @param {string} context.language - locale the visitor used
+     * @param {string} context.rulesVersion - assessment model the numbers came from
+     * @returns {{ subject: string, title: string, message: string, fields: Object }}
+     */
+    buildITAssessmentLead(formData, results, quote, { score, language, rulesVersion }) {
+        const { needsCabling, needsCCTV, needsAccessControl, needsTelephony, areaUnit } = formData;
+        const { zones, area, accessPoints, estimatedDevices, recommendedServers, recommendedWorkstations } = results;
+
+        let message = this.formatLeadScore(score);
+        message += `*New IT Infrastructure Assessment*\n\n`;
+        message += `👤 *Name:* ${formData.fullName}\n`;
+        message += this.formatPhoneLines(formData.phone);
+        message += this.formatLanguageLine(language);
+
+        if (zones.length === 1) {
+            message += `🏢 *Building Type:* ${zones[0].buildingType}\n`;
+            message += `📏 *Area:* ${this.formatArea(area, areaUnit, true)}\n`;
+        } else {
+            message += `📏 *Total Area:* ${this.formatArea(area, areaUnit, true)} across ${zones.length} zones\n`;
+            message += `\n*Site Zones:*\n`;
+            zones.forEach((zone, index) => {
+                message += `🏢 *${this.getZoneName(zone, index)}* (${this.formatFloor(zone.floor)}, ${zone.buildingType}, ${zone.usageProfile}): `;
+                message += `${this.formatArea(zone.area, areaUnit)} → ${zone.accessPoints} APs, `;
+                message += `${this.formatNumber(zone.estimatedDevices)} devices, ${zone.drops} drops\n`;
+            });
+        }
+
+        message += `\n*Assessment Results:*\n`;
+        message += `📶 *WiFi Access Points:* ${accessPoints}\n`;
+        message += `💻 *Estimated Devices:* ${this.formatNumber(estimatedDevices)}\n`;
+        message += `🖥️ *Workstations:* ${recommendedWorkstations}\n`;
+        message += `🗄️ *Servers:* ${recommendedServers}\n`;
+
+        if (needsCabling || needsCCTV || needsAccessControl || needsTelephony) {
+            message += `\n*Additional Services:*\n`;
+            this.describeServices(results.services).forEach(({ label, summary }) => {
+                message += `🔌 *${label}:* ${summary}\n`;
+            });
+        }
+
+        if (quote) {
+            const money = amount => this.formatCurrency(amount, quote.currency);
+            message += `\n*Estimated Cost:*\n`;
+            quote.lineItems.forEach(item => {
+                message += `▪️ ${item.label}: ${this.formatNumber(item.quantity)} × ${money(item.unitPrice)} = ${money(item.total)}\n`;
+            });
+            message += `Subtotal: ${money(quote.subtotal)}\n`;
+            message += `VAT: ${money(quote.vat)}\n`;
+            message += `💰 *Budget Range:* ${money(quote.low)} – ${money(quote.high)}\n`;
+        }
+
+        message += `\n📐 *Rules version:* ${rulesVersion}\n`;
+        message += `\n${LEAD_MESSAGE_FOOTER}`;
+
+        return {
+            subject: `[${score.label}] New IT Infrastructure Assessment - ${formData.fullName}`,
+            title: this.formatTitle('itAssessment', formData.fullName, language),
+            message,
+            fields: { fullName: formData.fullName, phone: formData.phone, language,
+                      areaUnit, zones: formData.zones, total: quote?.total, rulesVersion,
+                      leadRating: score.rating, leadReason: score.reason }
+        };
+    }
+
+    /**
+     * One line per selected service, e.g. { label: 'CCTV', summary: '6 cameras, …' }.
+     * The results page uses this too, in the visitor's language.
+     * @param {Object} services - `services` from ITCalculator.calculateITNeeds()
+     * @param {string} [locale]
+     * @returns {{ label: string, summary: string }[]}
+     */
+    describeServices(services, locale = this.locale) {
+        const { cctv, accessControl, telephony, cabling } = services;
+        const t = (key, params) => this.translator.t(`services.${key}`, params, locale);
+        const lines = [];
+
+        if (cabling) {
+            const size = t(cabling.rackMount === 'wall' ? 'cabling.wallRack' : 'cabling.floorRack',
+                { units: cabling.rackHeight });
+            lines.push({
+                label: t('cabling.label'),
+                summary: t('cabling.summary', {
+                    drops: cabling.drops,
+                    cableMetres: cabling.cableMetres,
+                    patchPanels: t('cabling.patchPanels', { count: cabling.patchPanels }),
+                    racks: t('cabling.racks', { count: cabling.racks, size })
+                })
+            });
+        }
+        if (cctv) {
+            lines.push({
+                label: t('cctv.label'),
+                summary: t('cctv.summary', {
+                    cameras: cctv.cameras,
+                    nvrs: t('cctv.nvrs', { count: cctv.nvrs }),
+                    storageTB: cctv.storageTB,
+                    days: cctv.retentionDays
+                })
+            });
+        }
+        if (accessControl) {
+            lines.push({
+                label: t('accessControl.label'),
+                summary: t('accessControl.summary', {
+                    doors: t('accessControl.doors', { count: accessControl.doors }),
+                    controllers: t('accessControl.controllers', { count: accessControl.controllers }),
+                    readers: t('accessControl.readers', { count: accessControl.readers })
+                })
+            });
+        }
+        if (telephony) {
+            lines.push({
+                label: t('telephony.label'),
+                summary: t('telephony.summary', {
+                    extensions: telephony.extensions,
+                    pbxSize: telephony.pbxSize,
+                    trunkLines: telephony.trunkLines
+                })
+            });
+        }
+
+        return lines;
+    }
+
+    // Summary the sales team reads before anything else in the lead
+    formatLeadScore(score) {
+        let summary = `${score.icon} *Lead: ${score.label}* (${score.points} pts)\n`;
+        summary += `💡 *Why:* ${score.reason}\n`;
+        summary += `👉 *Next step:* ${score.nextAction}\n\n`;
+        return summary;
+    }
+
+    // What the visitor sees of a saved lead; the subject carries our rating
+    formatTitle(type, name, language) {
+        return this.translator.t(`lead.titles.${type}`, { name }, language);
+    }
+
+    formatPhoneLines(phone) {
+        let lines = `📱 *Phone:* ${phone}\n`;
+        if (this.phoneParser.parse(phone).valid) {
+            lines += `💬 *Reply on WhatsApp:* ${this.phoneParser.getWhatsAppLink(phone)}\n`;
+        }
+        return lines;
+    }
+
+    formatLanguageLine(language) {
+        return `🗣️ *Customer language:* ${this.translator.getLabel(language)}\n`;
+    }
+
+    getZoneName(zone, index) {
+        return zone.name || this.translator.t('zones.title', { number: index + 1 }, this.locale);
+    }
+
+    formatFloor(floor) {
+        return floor === 0
+            ? this.translator.t('zones.groundFloor', {}, this.locale)
+            : this.translator.t('zones.floor', { floor }, this.locale);
+    }
+
+    // In the unit the customer used, plus sq ft so every lead can be compared
+    formatArea(sqft, unit, withSqft = false) {
+        const { areaLabel, sqftPerUnit } = this.areaUnits[unit] || this.areaUnits.sqft;
+        const formatted = `${this.formatNumber(sqft / sqftPerUnit)} ${areaLabel}`;
+
+        return withSqft && sqftPerUnit !== 1
+            ? `${formatted} (${this.formatNumber(sqft)} sq. ft)`
+            : formatted;
+    }
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.numberLocale, { maximumFractionDigits: 0, ...options }).format(value);
+    }
+
+    formatCurrency(amount, currency) {
+        return this.formatNumber(amount, { style: 'currency', currency });
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * Lead Scoring - rates each inquiry hot, warm or cold for the sales team
+ * Every criterion adds points for one answer we already collect. The total
+ * decides the rating, and the strongest matches become the short reason
+ * shown at the top of the lead. Tune the points, thresholds and wording
+ * here without touching the forms.
+ */
+
+const LEAD_SCORING_RULES = {
+    // Minimum points for each rating; anything below warm is cold
+    thresholds: { hot: 60, warm: 30 },
+
+    ratings: {
+        hot: { label: 'HOT', icon: '🔥', nextAction: 'Call within 2 hours and book a discovery call or site visit' },
+        warm: { label: 'WARM', icon: '🌤️', nextAction: 'Reply today with a tailored proposal and offer a call this week' },
+        cold: { label: 'COLD', icon: '❄️', nextAction: 'Send relevant case studies and follow up in two weeks' }
+    },
+
+    // How many matched reasons to show, strongest first
+    maxReasons: 2,
+    fallbackReason: 'Few buying signals in the answers so far',
+
+    // `match` scores an exact answer; `ranges` scores the first band whose
+    // `min` the number reaches. `{value}` in a reason is replaced with the answer.
+    criteria: {
+        webDev: [
+            {
+                field: 'timeline',
+                match: {
+                    asap: { points: 40, reason: 'Wants to start within a month' },
+                    '1-3': { points: 25, reason: 'Wants to start within 3 months' },
+                    '3-6': { points: 10, reason: 'Planning 3-6 months ahead' },
+                    '6+': { points: 0 }
+                }
+            },
+            {
+                field: 'projectType',
+                match: {
+                    ecommerce: { points: 25, reason: 'E-commerce build' },
+                    webapp: { points: 25, reason: 'Custom web application' },
+                    business: { points: 15, reason: 'Business website' },
+                    other: { points: 5 }
+                }
+            },
+            {
+                field: 'problemCount',
+                ranges: [
+                    { min: 3, points: 20, reason: 'Reported {value} problems with their current site' },
+                    { min: 2, points: 15, reason: 'Reported {value} problems with their current site' },
+                    { min: 1, points: 10, reason: 'Reported a problem with their current site' }
+                ]
+            },
+            {
+                field: 'hasWebsite',
+                match: {
+                    no: { points: 15, reason: 'Needs a website from scratch' },
+                    yes: { points: 10 }
+                }
+            }
+        ],
+
+        itAssessment: [
+            {
+                // Site area in sq ft
+                field: 'area',
+                ranges: [
+                    { min: 10000, points: 40, reason: 'Large site ({value} sq ft)' },
+                    { min: 3000, points: 25, reason: 'Mid-sized site ({value} sq ft)' },
+                    { min: 0, points: 10 }
+                ]
+            },
+            {
+                field: 'serviceCount',
+                ranges: [
+                    { min: 3, points: 35, reason: 'Wants {value} add-on services' },
+                    { min: 2, points: 25, reason: 'Wants {value} add-on services' },
+                    { min: 1, points: 15, reason: 'Wants an add-on service' }
+                ]
+            },
+            {
+                field: 'zoneCount',
+                ranges: [
+                    { min: 2, points: 10, reason: 'Multi-zone site ({value} zones)' }
+                ]
+            }
+        ]
+    }
+};
+
+class LeadScorer {
+    /**
+     * @param {Object} [rules] - scoring rules, defaults to LEAD_SCORING_RULES
+     */
+    constructor(rules = LEAD_SCORING_RULES) {
+        this.rules = rules;
+    }
+
+    /**
+     * Score one lead.
+     * @param {string} type - criteria set to use, e.g. 'webDev' or 'itAssessment'
+     * @param {Object} answers - values keyed by each criterion's `field`
+     * @returns {{ rating: string, label: string, icon: string, points: number, reason: string, nextAction: string }}
+     */
+    score(type, answers) {
+        const matches = (this.rules.criteria[type] || [])
+            .map(criterion => this.evaluate(criterion, answers[criterion.field]))
+            .filter(Boolean);
+
+        const points = matches.reduce((total, match) => total + match.points, 0);
+        const { thresholds } = this.rules;
+        const rating = points >= thresholds.hot ? 'hot' : points >= thresholds.warm ? 'warm' : 'cold';
+
+        const reason = matches
+            .filter(match => match.reason && match.points > 0)
+            .sort((a, b) => b.points - a.points)
+            .slice(0, this.rules.maxReasons)
+            .map(match => match.reason)
+            .join('; ');
+
+        return {
+            rating,
+            ...this.rules.ratings[rating],
+            points,
+            reason: reason || this.rules.fallbackReason
+        };
+    }
+
+    evaluate(criterion, value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const match = criterion.match
+            ? criterion.match[value]
+            : criterion.ranges.find(range => Number(value) >= range.min);
+        if (!match) return null;
+
+        const display = typeof value === 'number' ? Math.round(value).toLocaleString('en-KE') : value;
+        return {
+            points: match.points,
+            reason: match.reason?.replace('{value}', display)
+        };
+    }
+}
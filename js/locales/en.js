@@ -0,0 +1,206 @@
+/**
+ * English messages for text built by the scripts. Page text stays in the
+ * HTML; rule, price and phone wording stays in their own files and is only
+ * overridden by other languages. Leads to the sales team always use this
+ * catalog, whatever language the visitor picked.
+ */
+
+I18N_MESSAGES.en = {
+    consent: {
+        title: 'Help us improve this site',
+        body: 'With your permission we use analytics cookies to see which pages and questionnaire steps people use. Nothing is collected unless you accept.',
+        privacyPolicy: 'Privacy Policy',
+        decline: 'Decline',
+        accept: 'Accept analytics'
+    },
+
+    toast: {
+        dismiss: 'Dismiss notification',
+        retry: 'Retry',
+        assessmentReady: 'Your assessment is ready. Review the recommendations below.',
+        assessmentFailed: 'An error occurred. Please try again.',
+        sendFailed: 'Failed to send. Please try again.',
+        linkInvalid: 'This assessment link is incomplete or out of date. Please fill in the form again.',
+        linkOpenFailed: "We couldn't open this assessment. Please fill in the form again.",
+        linkCopied: 'Link copied. Anyone who opens it will see these results.',
+        linkCopyFailed: "Couldn't copy the link. You can copy it from your browser's address bar instead.",
+        scenarioSaved: 'Saved "{name}". See the comparison below.',
+        scenarioSavedFirst: 'Saved "{name}". Save another to compare.',
+        scenarioSaveFailed: "Couldn't save this scenario. Your browser may be blocking storage.",
+        scenarioOutdated: "This scenario was saved by an older version of the calculator and can't be opened.",
+        proposalFailed: "Couldn't generate the proposal. Please try again.",
+        whatsappFailed: "Couldn't open WhatsApp. Please contact us directly.",
+        offlineQueued: "You're offline. We've saved your request and will send it when you're back online.",
+        leadSent: "Thanks! Your request has been sent. We'll be in touch shortly.",
+        pressSend: 'Press send in WhatsApp to finish sending your request.',
+        queuedLeadSent: 'Your saved request "{title}" has been sent.'
+    },
+
+    wizard: {
+        projectType: 'Please choose the type of solution you need',
+        primaryGoal: 'Please describe your main goal (at least 10 characters)',
+        timeline: 'Please choose a timeline',
+        hasWebsite: 'Please tell us whether you already have a website',
+        websiteUrl: 'Please enter a full address, e.g. https://yourbusiness.com',
+        fullName: 'Please enter your name',
+        email: 'Please enter a valid email address',
+        phone: 'Please enter your phone number'
+    },
+
+    area: {
+        tooSmall: 'Please enter an area of at least {min} {unit}',
+        tooLarge: 'Maximum area is {max} {unit}',
+        example: 'e.g., {value}'
+    },
+
+    zones: {
+        title: 'Zone {number}',
+        groundFloor: 'Ground floor',
+        floor: 'Floor {floor}',
+        retentionDays: { one: '{count} day', other: '{count} days' }
+    },
+
+    results: {
+        intro: 'For your <strong>{area} {site}</strong>, we recommend:',
+        siteAcrossZones: 'site across {count} zones',
+        wifiSystem: '1 WiFi system',
+        accessPoints: { one: '{count} access point', other: '{count} access points' },
+        workstations: { one: '{count} workstation', other: '{count} workstations' },
+        servers: { one: '{count} server', other: '{count} servers' },
+        equipment: '<strong>{workstations}</strong> and <strong>{servers}</strong>',
+        includes: 'Includes {services}',
+        basic: 'Basic IT infrastructure assessment',
+        ctaComplete: 'Get Complete IT Solution Quote',
+        ctaConsultation: 'Get Free IT Consultation',
+        serviceNames: {
+            cabling: 'structured cabling',
+            cctv: 'CCTV',
+            accessControl: 'access control',
+            telephony: 'telephony'
+        },
+        zoneTable: { zone: 'Zone', accessPoints: 'APs', devices: 'Devices', drops: 'Drops' }
+    },
+
+    services: {
+        cabling: {
+            label: 'Structured cabling',
+            summary: '{drops} network points (~{cableMetres} m of cable), {patchPanels}, {racks}',
+            patchPanels: { one: '{count} patch panel', other: '{count} patch panels' },
+            racks: { one: '{count} × {size} rack', other: '{count} × {size} racks' },
+            wallRack: '{units}U wall-mount',
+            floorRack: '{units}U floor-standing'
+        },
+        cctv: {
+            label: 'CCTV',
+            summary: '{cameras} cameras, {nvrs} with {storageTB} TB for {days} days of recording',
+            nvrs: { one: '{count} NVR', other: '{count} NVRs' }
+        },
+        accessControl: {
+            label: 'Access control',
+            summary: '{doors}, {controllers}, {readers}',
+            doors: { one: '{count} door', other: '{count} doors' },
+            controllers: { one: '{count} controller', other: '{count} controllers' },
+            readers: { one: '{count} reader', other: '{count} readers' }
+        },
+        telephony: {
+            label: 'Telephony',
+            summary: '{extensions} extensions on a {pbxSize}-user IP PBX with {trunkLines} outside lines'
+        }
+    },
+
+    quote: {
+        heading: 'Estimated Cost',
+        subtotal: 'Subtotal',
+        vat: 'VAT ({rate}%)',
+        total: 'Total',
+        budgetRange: 'Budget range: {low} – {high}',
+        disclaimer: 'Indicative estimate only. Final pricing is confirmed after a site survey.'
+    },
+
+    compare: {
+        item: 'Item',
+        zones: 'Zones',
+        totalArea: 'Total area',
+        usage: 'Usage',
+        accessPoints: 'WiFi access points',
+        devices: 'Devices supported',
+        workstations: 'Workstations',
+        servers: 'Servers',
+        services: 'Services',
+        none: 'None',
+        total: 'Total (incl. VAT)',
+        budgetRange: 'Budget range',
+        outdated: 'One of these scenarios was saved by an older version of the calculator.'
+    },
+
+    scenarios: {
+        defaultName: 'Scenario {number}',
+        savedAt: '· saved {time}',
+        load: 'Load',
+        remove: 'Remove'
+    },
+
+    portfolio: {
+        loading: 'Loading projects…',
+        loadFailed: "We couldn't load our projects right now. Please try again later.",
+        showing: { one: 'Showing {start}–{end} of {count} project', other: 'Showing {start}–{end} of {count} projects' },
+        noMatches: 'No projects match your search. Try fewer words or another filter.',
+        previousPage: 'Previous page',
+        nextPage: 'Next page',
+        page: 'Page {number}',
+        challenge: 'The challenge',
+        solution: 'What we did',
+        outcome: 'The result'
+    },
+
+    proposal: {
+        title: 'IT Infrastructure Proposal',
+        reference: 'Ref: {reference}',
+        issued: 'Issued: {date}',
+        model: 'Model: v{version}',
+        validUntil: 'Valid until: {date}',
+        preparedFor: 'Prepared for',
+        siteDetails: 'Site Details',
+        totalArea: 'Total area: {area}',
+        zone: 'Zone',
+        floor: 'Floor',
+        construction: 'Construction',
+        usage: 'Usage',
+        area: 'Area',
+        equipment: 'Recommended Equipment',
+        accessPoints: { one: '{count} WiFi access point', other: '{count} WiFi access points' },
+        workstationsAndServers: '{workstations} and {servers}',
+        devices: 'Supports an estimated {count} devices',
+        selectedServices: 'Selected Services',
+        investment: 'Investment Estimate',
+        item: 'Item',
+        quantity: 'Qty',
+        unitPrice: 'Unit price',
+        amount: 'Amount',
+        budgetRange: 'Budget range: <strong>{low} – {high}</strong>',
+        disclaimer: 'This is an indicative estimate based on the information provided. Final pricing is confirmed after a site survey and is valid until {date}.',
+        terms: 'All work is subject to our Terms of Service:'
+    },
+
+    submissions: {
+        title: 'Your submissions',
+        pending: 'Waiting to send',
+        pendingOffline: 'Saved – waiting for a connection',
+        sending: 'Sending…',
+        failed: "Couldn't send yet – we'll retry",
+        sent: 'Sent ✓',
+        untitled: 'Your request'
+    },
+
+    lead: {
+        openWhatsApp: 'Open WhatsApp manually',
+        fallbackTitle: "We couldn't send your request automatically",
+        fallbackMessage: 'Please send it to us using one of these options:',
+        copied: 'Copied! Paste it into WhatsApp or email',
+        copyFailed: 'Copy failed',
+        titles: {
+            webDev: 'Web development inquiry – {name}',
+            itAssessment: 'IT infrastructure assessment – {name}'
+        }
+    }
+};
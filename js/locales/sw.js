@@ -0,0 +1,614 @@
+/**
+ * Swahili (Kiswahili) messages. Covers both the page text tagged with
+ * data-i18n and the strings built by the scripts. Keys missing here fall
+ * back to English.
+ */
+
+I18N_MESSAGES.sw = {
+    // Page text shared by the home and web development pages
+    common: {
+        logoAlt: 'Nembo ya WiredWise, suluhisho za TEHAMA Thika',
+        services: 'Huduma',
+        nav: {
+            webDevelopment: 'Utengenezaji wa Tovuti <span class="absolute inset-0"></span>',
+            webDevelopmentSummary: 'Tovuti za kitaalamu na suluhisho za biashara mtandaoni',
+            wifiNetworking: 'WiFi na Mitandao <span class="absolute inset-0"></span>',
+            wifiNetworkingSummary: 'Suluhisho za intaneti na mtandao zinazotegemewa',
+            cctvSystems: 'Mifumo ya CCTV <span class="absolute inset-0"></span>',
+            cctvSystemsSummary: 'Suluhisho za kisasa za ulinzi na ufuatiliaji',
+            accessControl: 'Udhibiti wa Kuingia <span class="absolute inset-0"></span>',
+            accessControlSummary: 'Usimamizi mahiri wa milango na usalama',
+            getQuote: 'Pata Bei'
+        },
+        contactUs: 'Wasiliana Nasi',
+        about: 'Kuhusu Sisi',
+        portfolio: 'Kazi Zetu',
+        contact: 'Mawasiliano',
+        service: {
+            webDevelopment: 'Utengenezaji wa Tovuti',
+            wifiNetworking: 'WiFi na Mitandao',
+            cctvSystems: 'Mifumo ya CCTV',
+            accessControl: 'Udhibiti wa Kuingia',
+            structuredCabling: 'Mfumo wa Nyaya za Mtandao',
+            telephonySystems: 'Mifumo ya Simu',
+            ecommerce: 'Suluhisho za Biashara Mtandaoni',
+            mobileApps: 'Utengenezaji wa Programu za Simu',
+            uiUxDesign: 'Usanifu wa UI/UX',
+            digitalMarketing: 'Masoko ya Kidijitali'
+        },
+        form: {
+            namePlaceholder: 'Jina lako',
+            phonePlaceholder: '0712 345 678 au +254 712 345 678',
+            honeypot: 'Acha sehemu hii wazi'
+        },
+        footer: {
+            tagline: 'Suluhisho za kitaalamu za TEHAMA na utengenezaji wa tovuti nchini Kenya.',
+            legal: 'Kisheria',
+            terms: 'Masharti ya Huduma',
+            privacy: 'Sera ya Faragha',
+            cookieSettings: 'Mipangilio ya Vidakuzi',
+            copyright: 'WiredWise. Haki zote zimehifadhiwa.'
+        },
+        language: 'Lugha'
+    },
+
+    home: {
+        hero: {
+            badge: 'Tunaaminiwa na Biashara 100+ Thika na Kwingineko',
+            title: 'Mshirika Wako wa <span class="text-blue-200">Suluhisho Kamili za Teknolojia</span> Thika',
+            subtitle: 'Kuanzia tovuti za kitaalamu zinazovutia wateja hadi mifumo ya TEHAMA inayotegemewa inayoendesha biashara yako - tunatoa kifurushi kamili cha teknolojia kwa biashara za Kenya.',
+            websites: 'Tovuti za Kitaalamu',
+            networks: 'Usanidi Salama wa Mtandao',
+            security: 'CCTV na Mifumo ya Usalama',
+            localExperts: 'Wataalamu wa Hapa Thika',
+            consultation: 'Pata Ushauri Bure',
+            exploreServices: 'Gundua Huduma Zetu'
+        },
+        services: {
+            title: 'Kila Kitu Biashara Yako Inachohitaji',
+            subtitle: 'Suluhisho kamili za teknolojia zilizoandaliwa kwa biashara za Kenya',
+            webDevelopmentSummary: 'Tovuti za kitaalamu na maduka ya mtandaoni yanayovutia wateja na kuongeza mauzo.',
+            wifiNetworkingSummary: 'Suluhisho za intaneti na mtandao zinazotegemewa kwa shughuli za biashara zisizokatizwa.',
+            cctvSummary: 'Ufuatiliaji wa kisasa wa usalama kulinda mali za biashara yako saa 24 kila siku.',
+            accessControlSummary: 'Mifumo mahiri ya kuingia kwa usalama zaidi na usimamizi wa nani anaingia.',
+            itSupport: 'Msaada wa TEHAMA',
+            itSupportSummary: 'Msaada wa kitaalamu wa kiufundi kuhakikisha mifumo yako inafanya kazi bila matatizo.',
+            consultation: 'Ushauri Bure',
+            consultationSummary: 'Pata ushauri unaokufaa kuhusu mahitaji ya teknolojia ya biashara yako.',
+            scheduleNow: 'Panga Sasa'
+        },
+        about: {
+            title: 'Kuhusu Wiredwise',
+            intro: 'Katika Wiredwise, sisi ni mshirika wako wa teknolojia tulio hapa hapa Thika, Kaunti ya Kiambu, Kenya. Tunawezesha biashara kama yako kwa suluhisho salama za TEHAMA zinazoweza kukua, na uwepo imara mtandaoni. Kuanzia miundombinu thabiti ya mtandao na mifumo mahiri ya usalama hadi usanifu wa kisasa wa tovuti na majukwaa ya biashara mtandaoni, tunajenga uti wa mgongo wa teknolojia ambao biashara yako inahitaji ili kustawi na kukua.',
+            team: 'Wataalamu wetu waliothibitishwa wamejitolea kutoa suluhisho zinazotegemewa na msaada usio na kifani, kuhakikisha shughuli zako zinaenda vizuri na uwepo wako mtandaoni unang\'aa.',
+            itSolutionsLink: 'Suluhisho za TEHAMA kwa Biashara <span aria-hidden="true">&rarr;</span>',
+            webDesignLink: 'Usanifu na Utengenezaji wa Tovuti <span aria-hidden="true">&rarr;</span>',
+            consultationLink: 'Pata Ushauri Bure <span aria-hidden="true">&rarr;</span>'
+        },
+        assessment: {
+            sectionTitle: 'Safari Yako ya Mafanikio ya Kidijitali Inaanzia Hapa',
+            sectionIntro: 'Pata tathmini kamili ya miundombinu ya TEHAMA ya biashara yako na mahitaji ya uwepo mtandaoni, iliyoandaliwa kwa ukuaji nchini Kenya.',
+            title: 'Tathmini ya Miundombinu ya TEHAMA',
+            zones: 'Maeneo ya Jengo:',
+            areaUnits: 'Vipimo vya eneo',
+            zonesHint: 'Ongeza kila ghorofa au eneo peke yake, k.m. ofisi ya ghorofa ya chini na ghala',
+            addZone: '+ Ongeza eneo jingine',
+            removeZone: 'Ondoa',
+            zoneName: 'Jina la Eneo:',
+            zoneNamePlaceholder: 'k.m., Ofisi ya ghorofa ya chini',
+            floor: 'Ghorofa:',
+            floorHint: '0 = ghorofa ya chini',
+            zoneArea: 'Ukubwa wa Eneo (<span class="area-unit-label">m²</span>):',
+            buildingType: 'Aina ya Jengo:',
+            usage: 'Matumizi Makuu (ya TEHAMA):',
+            services: 'Huduma za TEHAMA Unazohitaji:',
+            cablingSummary: 'Ethernet, fiber na upangaji wa kitaalamu wa nyaya',
+            extraPoints: 'Vituo vya ziada vya mtandao (printa, TV, n.k.)',
+            cctv: 'Ufuatiliaji wa CCTV',
+            cctvSummary: 'Kamera za usalama zenye ufuatiliaji wa mbali na uchambuzi mahiri',
+            perimeter: 'Mzunguko wa kulinda (<span class="length-unit-label">m</span>)',
+            gates: 'Malango na viingilio',
+            retention: 'Hifadhi rekodi kwa',
+            accessControl: 'Mifumo ya Udhibiti wa Kuingia',
+            accessControlSummary: 'Mifumo mahiri ya kuingia kwa usalama zaidi',
+            doors: 'Milango ya kulinda',
+            exitReaders: 'Kisoma kadi pia upande wa kutoka',
+            telephonySummary: 'Suluhisho za kisasa za VoIP na mawasiliano',
+            extensions: 'Wafanyakazi wanaohitaji laini ya ndani ya simu',
+            fullName: 'Jina Kamili:',
+            phone: 'Nambari ya Simu:',
+            submit: 'Pata Tathmini ya Suluhisho la TEHAMA'
+        },
+        results: {
+            title: 'Suluhisho la TEHAMA Tunalopendekeza:',
+            devices: 'Makadirio ya vifaa vinavyohudumiwa:',
+            downloadProposal: 'Pakua Pendekezo (PDF)',
+            copyLink: 'Nakili Kiungo cha Matokeo Haya',
+            scenarioName: 'Jina la chaguo',
+            scenarioNamePlaceholder: 'Lipe chaguo hili jina, k.m. Mpango wa msingi',
+            saveScenario: 'Hifadhi kwa Ulinganisho'
+        },
+        compare: {
+            title: 'Linganisha Machaguo',
+            hint: 'Hifadhi tathmini mbili au zaidi, k.m. mpango wa msingi na mpango wa michezo/4K, ili uzione kando kwa kando.',
+            first: 'Linganisha',
+            second: 'Na'
+        },
+        solutions: {
+            itTitle: 'Suluhisho Jumuishi za TEHAMA',
+            itSubtitle: 'Kuanzia WiFi isiyokatika hadi usalama thabiti na nyaya zilizopangwa vizuri',
+            itWifi: 'Ondoa maeneo yasiyo na mtandao kwa upimaji wa kitaalamu wa WiFi',
+            itSecurity: 'CCTV ya kisasa na Udhibiti wa Kuingia kwa amani kamili ya moyo',
+            itCabling: 'Mfumo wa nyaya unaotegemewa kwa mitandao ya data na mawasiliano',
+            itLink: 'Tazama Huduma Zote za TEHAMA',
+            webTitle: 'Suluhisho za Kitaalamu za Tovuti',
+            webSubtitle: 'Tunajenga uwepo wako imara mtandaoni',
+            webDesign: 'Usanifu wa tovuti ulioandaliwa kulingana na chapa yako',
+            webEcommerce: 'Maduka ya mtandaoni yenye M-Pesa na njia za malipo za hapa nchini',
+            webSeo: 'Tovuti zinazopatikana kwa urahisi kwenye utafutaji na zinazofanya kazi vizuri kwenye simu',
+            webLink: 'Gundua Huduma za Usanifu wa Tovuti',
+            consultationTitle: 'Ushauri wa Kimkakati wa Teknolojia',
+            consultationSubtitle: 'Mwongozo wa kitaalamu kwa mkakati wako wa TEHAMA na kidijitali',
+            consultationAdvice: 'Mapendekezo yanayokufaa kutoka kwa wataalamu waliothibitishwa',
+            consultationFutureProof: 'Kulinda uwekezaji wako wa teknolojia kwa siku zijazo',
+            consultationGrowth: 'Kuongeza ufanisi na uwezo wa kukua',
+            consultationLink: 'Weka Kikao cha Kimkakati'
+        },
+        portfolio: {
+            title: 'Kazi Zetu za Hivi Karibuni',
+            subtitle: 'Gundua jinsi Wiredwise inavyowezesha biashara na nyumba kote Kenya kwa miundombinu ya kisasa ya TEHAMA na uwepo imara mtandaoni.',
+            filterLabel: 'Chuja miradi kwa huduma',
+            filterAll: 'Miradi Yote',
+            filterIt: 'Suluhisho za TEHAMA',
+            filterWeb: 'Usanifu na Utengenezaji wa Tovuti',
+            filterWifi: 'Mitandao ya WiFi',
+            filterTelephony: 'Mifumo ya Simu',
+            filterEcommerce: 'Biashara Mtandaoni',
+            searchLabel: 'Tafuta miradi',
+            searchPlaceholder: 'Tafuta miradi, sekta au huduma',
+            sortLabel: 'Panga miradi',
+            sortNewest: 'Mipya kwanza',
+            sortOldest: 'Ya zamani kwanza',
+            sortTitle: 'Jina A–Z',
+            closeCaseStudy: 'Funga mfano wa kazi',
+            previousProject: '← Uliotangulia',
+            nextProject: 'Unaofuata →'
+        },
+        contact: {
+            title: 'Tujenge Mustakabali Wako wa Kidijitali Pamoja',
+            intro: 'Iwe unahitaji utengenezaji wa kitaalamu wa tovuti, mfumo wa nyaya unaotegemewa au mifumo thabiti ya usalama, timu yetu iko tayari kukuletea suluhisho za kitaalamu za TEHAMA na kidijitali zinazokufaa.',
+            emergencySupport: 'Msaada wa Dharura',
+            hours: 'Saa za Kazi',
+            weekdayHours: 'Jtatu-Ijumaa: Saa 2 asubuhi - Saa 12 jioni',
+            saturdayHours: 'Jumamosi: Saa 3 asubuhi - Saa 8 mchana',
+            headquarters: 'Makao Yetu Makuu',
+            directions: 'Pata Maelekezo',
+            email: 'Maswali ya Jumla',
+            call: 'Tupigie Simu',
+            ctaTitle: 'Uko Tayari Kuanza?',
+            ctaBody: 'Iwe ni kwa utengenezaji wa tovuti, suluhisho za mtandao au msaada wa TEHAMA, tutumie ujumbe na tutakujibu ndani ya saa 24.'
+        },
+        faq: {
+            title: 'Maswali Yanayoulizwa Mara kwa Mara',
+            siteVisitsQuestion: 'Je, mnatoa ziara za eneo au ushauri?',
+            siteVisitsAnswer: 'Ndiyo, tunatoa ziara za kitaalamu za eneo na ushauri kwa huduma zetu zote za TEHAMA na usanifu wa tovuti. Tafadhali kumbuka kuwa ada ndogo hutozwa kwa ziara zote za eneo ili kugharamia tathmini na usafiri ndani ya Thika na maeneo jirani. Hii inatuwezesha kutoa suluhisho sahihi zaidi kulingana na mahitaji yako.',
+            rightSolutionQuestion: 'Nitajuaje suluhisho la TEHAMA linalofaa biashara yangu?',
+            rightSolutionAnswer: 'Tunaanza na tathmini ya kina ya mahitaji. Wataalamu wetu watachunguza mfumo wako wa sasa, kujadili malengo yako, na kupendekeza suluhisho linalokufaa (WiFi, CCTV, Udhibiti wa Kuingia, Nyaya, Simu) linaloendana kikamilifu na mahitaji na bajeti yako.',
+            installTimeQuestion: 'Ufungaji wa mifumo ya TEHAMA huchukua muda gani kwa kawaida?',
+            installTimeAnswer: 'Muda wa ufungaji hutegemea ugumu na ukubwa wa mradi. Usanidi wa kawaida wa WiFi au CCTV unaweza kuchukua siku moja au mbili, huku mifumo mikubwa ya nyaya au mifumo jumuishi ikachukua muda zaidi. Tutakupa ratiba iliyo wazi baada ya tathmini yetu.',
+            itMaintenanceQuestion: 'Je, mnatoa matengenezo endelevu ya suluhisho za TEHAMA?',
+            itMaintenanceAnswer: 'Ndiyo, tunatoa vifurushi kamili vya matengenezo na msaada kwa mifumo yote ya TEHAMA tunayofunga. Hii inahakikisha mifumo yako inabaki katika hali bora, salama na inafanya kazi bila kukatika mara kwa mara.',
+            websiteTimeQuestion: 'Kutengeneza tovuti huchukua muda gani?',
+            websiteTimeAnswer: 'Muda wa kutengeneza tovuti hutegemea ugumu wake, vipengele vyake na utayari wa maudhui. Tovuti ya kawaida ya biashara inaweza kuchukua wiki 3-5, huku jukwaa tata la biashara mtandaoni likachukua wiki 8-12 au zaidi. Tutakupa ratiba ya kina wakati wa ushauri wa mradi wako.',
+            webProcessQuestion: 'Mchakato wa miradi ya usanifu wa tovuti ukoje?',
+            webProcessAnswer: 'Mchakato wetu kwa kawaida unahusisha: Kuelewa na Kupanga (kuelewa mahitaji yako), Usanifu (michoro na sampuli), Utengenezaji (uandishi wa programu na utendaji), Majaribio na Uzinduzi, na Msaada Endelevu. Tunakushirikisha katika kila hatua!',
+            websiteMaintenanceQuestion: 'Je, mnatoa matengenezo ya tovuti baada ya uzinduzi?',
+            websiteMaintenanceAnswer: 'Bila shaka! Tunatoa vifurushi mbalimbali vya matengenezo ya tovuti ili tovuti yako ibaki salama, iliyosasishwa, yenye nakala rudufu na inayofanya kazi vizuri. Hii inajumuisha masasisho ya programu, ufuatiliaji wa usalama, kuboresha kasi na marekebisho ya maudhui.',
+            mpesaQuestion: 'Je, mnaweza kuunganisha M-Pesa au njia nyingine za malipo za hapa nchini kwenye duka langu la mtandaoni?',
+            mpesaAnswer: 'Ndiyo, tumebobea katika kuunganisha njia maarufu za malipo za Kenya kama **M-Pesa**, pamoja na kadi za benki, kwenye jukwaa lako la biashara mtandaoni. Hii inawapa wateja wako njia ya malipo iliyo rahisi na salama.'
+        }
+    },
+
+    webdev: {
+        hero: {
+            title: 'Badilisha Biashara Yako kwa Suluhisho za Kitaalamu za Tovuti',
+            subtitle: 'Tueleze changamoto zako nasi tutakutengenezea suluhisho la kidijitali linalochochea ukuaji na kuzidi matarajio yako',
+            startProject: 'Anza Mradi Wako Sasa'
+        },
+        stats: {
+            successRate: 'Kiwango cha Mafanikio ya Miradi',
+            satisfaction: 'Kuridhika kwa Wateja',
+            delivered: 'Miradi Iliyokamilika',
+            revenueGrowth: 'Ukuaji wa Mapato ya Wateja'
+        },
+        form: {
+            title: 'Pata Suluhisho la Tovuti Linalokufaa',
+            intro: 'Tunaanza kwa kuelewa changamoto zako za kipekee ili kutengeneza suluhisho bora kwa biashara yako',
+            startOver: '<i class="fas fa-redo mr-1"></i> Anza upya',
+            next: 'Endelea <i class="fas fa-arrow-right ml-2"></i>',
+            back: 'Rudi',
+            toContact: 'Taarifa za Mawasiliano <i class="fas fa-arrow-right ml-2"></i>',
+            submit: 'Pata Pendekezo Lako'
+        },
+        draft: {
+            welcomeBack: 'Karibu tena! Endelea ulipoishia tarehe',
+            resume: 'Endelea',
+            startOver: 'Anza upya'
+        },
+        progress: {
+            label: 'Maendeleo ya dodoso',
+            goals: 'Malengo',
+            currentSite: 'Tovuti ya Sasa',
+            features: 'Vipengele'
+        },
+        goals: {
+            title: 'Malengo ya biashara yako ni yapi?',
+            projectType: 'Unahitaji suluhisho la aina gani?',
+            typeBusiness: 'Tovuti ya Biashara',
+            typeBusinessSummary: 'Tovuti ya kitaalamu ya kujenga chapa yako mtandaoni na kupata wateja watarajiwa',
+            typeEcommerce: 'Duka la Mtandaoni',
+            typeEcommerceSummary: 'Uza bidhaa mtandaoni ukiwa na malipo yaliyounganishwa na usimamizi wa bidhaa',
+            typeWebApp: 'Programu ya Mtandaoni',
+            typeWebAppSummary: 'Programu maalum ya kuendesha michakato ya biashara kiotomatiki',
+            typeTransformation: 'Mageuzi Kamili ya Kidijitali',
+            typeTransformationSummary: 'Suluhisho kamili linalojumuisha tovuti, programu za simu na mifumo ya nyuma',
+            primaryGoal: 'Lengo kuu la mradi huu ni lipi?',
+            primaryGoalPlaceholder: 'Mifano: Kuongeza mauzo mtandaoni kwa 30%, kupunguza simu za huduma kwa wateja, kupata wateja watarajiwa 500 kwa mwezi',
+            timeline: 'Muda Unaotarajia',
+            timelinePrompt: 'Unahitaji suluhisho hili lini?',
+            timelineAsap: 'Haraka iwezekanavyo (ndani ya mwezi 1)',
+            timelineOneToThree: 'Miezi 1-3',
+            timelineThreeToSix: 'Miezi 3-6',
+            timelineSixPlus: 'Miezi 6+',
+            budget: 'Bajeti ya Mradi (KES)',
+            budgetPrompt: 'Bajeti yako inakadiriwa kuwa kiasi gani?',
+            budgetUnder60k: 'Chini ya 60,000'
+        },
+        site: {
+            title: 'Tueleze kuhusu uwepo wako wa sasa mtandaoni',
+            hasWebsite: 'Je, kwa sasa una tovuti?',
+            hasWebsiteYes: 'Ndiyo, nina tovuti tayari',
+            hasWebsiteNo: 'Hapana, nahitaji tovuti mpya',
+            websiteUrl: 'Anwani ya Tovuti Yako',
+            problems: 'Unakabiliwa na changamoto gani kwenye tovuti yako ya sasa?',
+            problemDesign: 'Muundo wa Zamani',
+            problemDesignSummary: 'Inaonekana ya zamani na haiwakilishi chapa yangu ya sasa',
+            problemMobile: 'Haifai kwa Simu',
+            problemMobileSummary: 'Haifanyi kazi vizuri kwenye simu au tabiti',
+            problemSpeed: 'Inafunguka Polepole',
+            problemSpeedSummary: 'Kurasa zinachukua muda mrefu kufunguka',
+            problemConversion: 'Wageni Wachache Wanakuwa Wateja',
+            problemConversionSummary: 'Wanaotembelea hawawi wateja',
+            problemSeo: 'Haionekani Vizuri Kwenye Utafutaji',
+            problemSeoSummary: 'Tovuti yangu haionekani kwenye matokeo ya utafutaji',
+            problemSecurity: 'Wasiwasi wa Usalama',
+            problemSecuritySummary: 'Nina wasiwasi kuhusu udukuzi au kuvuja kwa data',
+            challenge: 'Eleza changamoto yako kubwa zaidi kwa undani',
+            challengePlaceholder: 'Ni matatizo gani hasa yanayokusumbua zaidi? Ungependa kuboresha nini?'
+        },
+        benefits: {
+            title: 'Unafanya Uamuzi wa Busara wa Kibiashara',
+            intro: 'Tovuti ya kitaalamu ni muhimu kwa mafanikio ya biashara ya kisasa. Kampuni zenye tovuti bora hupata:',
+            revenue: 'Ukuaji wa Mapato Zaidi kwa 45%',
+            revenueSummary: 'Biashara zenye tovuti hukua kwa kasi zaidi kuliko zisizo nazo.',
+            credibility: 'Kuaminika Mara 6 Zaidi',
+            credibilitySummary: 'Wateja huamini zaidi biashara zenye tovuti za kitaalamu.',
+            alwaysOpen: 'Njia ya Mauzo Saa 24 Kila Siku',
+            alwaysOpenSummary: 'Tovuti yako inakufanyia kazi hata ukiwa umelala.',
+            visibility: 'Kuonekana Mara 5 Zaidi',
+            visibilitySummary: 'Gunduliwa na wateja wapya wanaotafuta huduma zako.',
+            successGoal: 'Tovuti yenye mafanikio ingeifanyia biashara yako nini?',
+            successGoalPlaceholder: 'Mifano: Kuwasaidia wateja kupata mahali nilipo, kuonyesha bidhaa zangu, kuruhusu kuweka nafasi mtandaoni'
+        },
+        features: {
+            title: 'Ni vipengele gani vitaifanya tovuti yako ifanikiwe?',
+            prompt: 'Chagua vipengele unavyohitaji:',
+            responsive: 'Muundo Unaofaa Simu',
+            responsiveSummary: 'Inafanya kazi vizuri kwenye vifaa vyote',
+            cms: 'Mfumo wa Kusimamia Maudhui',
+            cmsSummary: 'Sasisha maudhui mwenyewe kwa urahisi',
+            ecommerce: 'Huduma za Duka la Mtandaoni',
+            ecommerceSummary: 'Uza bidhaa, pokea malipo',
+            seo: 'Uboreshaji wa SEO',
+            seoSummary: 'Onekana juu zaidi kwenye matokeo ya utafutaji',
+            blog: 'Sehemu ya Blogu/Habari',
+            blogSummary: 'Shiriki habari mpya na maudhui',
+            multilingual: 'Lugha Nyingi',
+            multilingualSummary: 'Fikia hadhira mbalimbali',
+            accounts: 'Akaunti za Watumiaji',
+            accountsSummary: 'Akaunti za wanachama au wateja',
+            api: 'Muunganisho wa API',
+            apiSummary: 'Unganisha na huduma nyingine',
+            other: 'Kuna mahitaji mengine au vipengele maalum?',
+            otherPlaceholder: 'Mifano: Kuunganisha na mifumo iliyopo, utendaji maalum, vipengele maalum vya muundo'
+        },
+        contact: {
+            title: 'Tunawezaje kukusaidia kufanikiwa?',
+            fullName: 'Jina Kamili *',
+            company: 'Kampuni/Shirika',
+            companyPlaceholder: 'Jina la kampuni',
+            email: 'Barua Pepe *',
+            phone: 'Nambari ya Simu *',
+            notes: 'Kuna jambo jingine tunalopaswa kujua?',
+            notesPlaceholder: 'Mahitaji maalum, vikwazo vya muda au maelezo mengine'
+        },
+        thankYou: {
+            title: 'Asante kwa Kutuma!',
+            body: 'Tumepokea taarifa zako na tayari tunashughulikia suluhisho lako. Timu yetu itawasiliana nawe ndani ya saa 24 kujadili mradi wako na kukupa pendekezo linalokufaa.',
+            nextSteps: 'Kinachofuata:',
+            consultation: 'Ushauri Unaokufaa',
+            consultationSummary: 'Tutapanga simu ili kuelewa biashara yako kwa kina',
+            proposal: 'Pendekezo Maalum',
+            proposalSummary: 'Utapokea suluhisho linalokufaa pamoja na ratiba na gharama',
+            kickoff: 'Kuanza kwa Mradi',
+            kickoffSummary: 'Tutaanza kujenga suluhisho lako mara tu baada ya kuidhinishwa',
+            portfolioPrompt: 'Wakati huo huo, tazama kazi zetu:',
+            portfolioLink: 'Kazi Zetu <i class="fas fa-arrow-right ml-2"></i>'
+        },
+        cta: {
+            title: 'Uko Tayari Kubadilisha Biashara Yako?',
+            body: 'Tujadiliane jinsi suluhisho zetu za tovuti zinavyoweza kukusaidia kufikia malengo ya biashara yako'
+        }
+    },
+
+    consent: {
+        title: 'Tusaidie kuboresha tovuti hii',
+        body: 'Ukiruhusu, tunatumia vidakuzi vya takwimu kuona kurasa na hatua za dodoso ambazo watu hutumia. Hakuna kinachokusanywa usipokubali.',
+        privacyPolicy: 'Sera ya Faragha',
+        decline: 'Kataa',
+        accept: 'Kubali takwimu'
+    },
+
+    toast: {
+        dismiss: 'Funga ujumbe',
+        retry: 'Jaribu tena',
+        assessmentReady: 'Tathmini yako iko tayari. Angalia mapendekezo hapa chini.',
+        assessmentFailed: 'Hitilafu imetokea. Tafadhali jaribu tena.',
+        sendFailed: 'Imeshindikana kutuma. Tafadhali jaribu tena.',
+        linkInvalid: 'Kiungo hiki cha tathmini hakijakamilika au kimepitwa na wakati. Tafadhali jaza fomu tena.',
+        linkOpenFailed: 'Hatukuweza kufungua tathmini hii. Tafadhali jaza fomu tena.',
+        linkCopied: 'Kiungo kimenakiliwa. Yeyote atakayekifungua ataona matokeo haya.',
+        linkCopyFailed: 'Hatukuweza kunakili kiungo. Unaweza kukinakili kutoka kwenye upau wa anwani wa kivinjari chako.',
+        scenarioSaved: 'Umehifadhi "{name}". Tazama ulinganisho hapa chini.',
+        scenarioSavedFirst: 'Umehifadhi "{name}". Hifadhi jingine ili kulinganisha.',
+        scenarioSaveFailed: 'Hatukuweza kuhifadhi chaguo hili. Huenda kivinjari chako kinazuia uhifadhi.',
+        scenarioOutdated: 'Chaguo hili lilihifadhiwa na toleo la zamani la kikokotoo na haliwezi kufunguliwa.',
+        proposalFailed: 'Hatukuweza kutengeneza pendekezo. Tafadhali jaribu tena.',
+        whatsappFailed: 'Hatukuweza kufungua WhatsApp. Tafadhali wasiliana nasi moja kwa moja.',
+        offlineQueued: 'Huna mtandao. Tumehifadhi ombi lako na tutalituma utakaporudi mtandaoni.',
+        leadSent: 'Asante! Ombi lako limetumwa. Tutawasiliana nawe hivi karibuni.',
+        pressSend: 'Bonyeza kutuma kwenye WhatsApp ili kukamilisha ombi lako.',
+        queuedLeadSent: 'Ombi lako lililohifadhiwa "{title}" limetumwa.'
+    },
+
+    wizard: {
+        projectType: 'Tafadhali chagua aina ya suluhisho unalohitaji',
+        primaryGoal: 'Tafadhali eleza lengo lako kuu (angalau herufi 10)',
+        timeline: 'Tafadhali chagua muda',
+        hasWebsite: 'Tafadhali tuambie kama tayari una tovuti',
+        websiteUrl: 'Tafadhali weka anwani kamili, k.m. https://biasharayako.com',
+        fullName: 'Tafadhali weka jina lako',
+        email: 'Tafadhali weka barua pepe sahihi',
+        phone: 'Tafadhali weka nambari yako ya simu'
+    },
+
+    phone: {
+        errors: {
+            empty: 'Tafadhali weka nambari yako ya simu',
+            characters: 'Nambari ya simu inaweza kuwa na tarakimu, nafasi na + mwanzoni tu',
+            international: 'Tafadhali kagua nambari, pamoja na msimbo wa nchi, k.m. +44 20 7946 0958',
+            national: 'Hii haionekani kuwa nambari sahihi ya {countryName}. Jaribu {example}'
+        },
+        countries: { KE: 'Kenya', UG: 'Uganda', TZ: 'Tanzania', RW: 'Rwanda' }
+    },
+
+    spam: {
+        too_fast: 'Tafadhali chukua muda kukagua majibu yako, kisha utume tena.',
+        duplicate: 'Tayari tumepokea ombi hili. Tutawasiliana nawe hivi karibuni, kwa hivyo hakuna haja ya kulituma tena.',
+        rate_limited: 'Umetuma maombi kadhaa kwa muda mfupi. Tafadhali subiri dakika chache au utupigie simu moja kwa moja.',
+        challenge_failed: 'Tafadhali kamilisha ukaguzi wa uthibitisho, kisha utume tena.'
+    },
+
+    area: {
+        tooSmall: 'Tafadhali weka eneo la angalau {min} {unit}',
+        tooLarge: 'Eneo kubwa zaidi ni {max} {unit}',
+        example: 'k.m., {value}'
+    },
+
+    zones: {
+        title: 'Eneo {number}',
+        groundFloor: 'Ghorofa ya chini',
+        floor: 'Ghorofa ya {floor}',
+        retentionDays: { one: 'Siku {count}', other: 'Siku {count}' }
+    },
+
+    rules: {
+        buildingTypes: {
+            house: 'Nyumba ya familia moja',
+            apartment: 'Fleti/Apartmenti',
+            'open-office': 'Ofisi (eneo wazi)',
+            'walled-office': 'Ofisi (kuta nyingi)',
+            warehouse: 'Ghala/Kiwanda',
+            'multi-story': 'Jengo la ghorofa nyingi'
+        },
+        usageProfiles: {
+            basic: 'Kuvinjari/barua pepe',
+            streaming: 'Video/simu za video',
+            gaming: 'Michezo/video za 4K',
+            business: 'Biashara/Kampuni'
+        }
+    },
+
+    results: {
+        intro: 'Kwa <strong>{site}, {area}</strong>, tunapendekeza:',
+        siteAcrossZones: 'jengo lenye maeneo {count}',
+        wifiSystem: 'Mfumo 1 wa WiFi',
+        accessPoints: { one: 'Kituo {count} cha WiFi', other: 'Vituo {count} vya WiFi' },
+        workstations: { one: 'kompyuta {count} ya kazi', other: 'kompyuta {count} za kazi' },
+        servers: { one: 'seva {count}', other: 'seva {count}' },
+        equipment: '<strong>{workstations}</strong> na <strong>{servers}</strong>',
+        includes: 'Inajumuisha {services}',
+        basic: 'Tathmini ya msingi ya miundombinu ya TEHAMA',
+        ctaComplete: 'Pata Bei ya Suluhisho Kamili la TEHAMA',
+        ctaConsultation: 'Pata Ushauri wa TEHAMA Bure',
+        serviceNames: {
+            cabling: 'mfumo wa nyaya',
+            cctv: 'CCTV',
+            accessControl: 'udhibiti wa kuingia',
+            telephony: 'mifumo ya simu'
+        },
+        zoneTable: { zone: 'Eneo', accessPoints: 'Vituo vya WiFi', devices: 'Vifaa', drops: 'Vituo vya mtandao' }
+    },
+
+    services: {
+        cabling: {
+            label: 'Mfumo wa nyaya',
+            summary: 'Vituo {drops} vya mtandao (takriban mita {cableMetres} za nyaya), {patchPanels}, {racks}',
+            patchPanels: { one: 'paneli {count} ya nyaya', other: 'paneli {count} za nyaya' },
+            racks: { one: 'kabati {count} × {size}', other: 'makabati {count} × {size}' },
+            wallRack: '{units}U ya ukutani',
+            floorRack: '{units}U ya sakafuni'
+        },
+        cctv: {
+            label: 'CCTV',
+            summary: 'Kamera {cameras}, {nvrs} zenye TB {storageTB} za kurekodi kwa siku {days}',
+            nvrs: { one: 'NVR {count}', other: 'NVR {count}' }
+        },
+        accessControl: {
+            label: 'Udhibiti wa kuingia',
+            summary: '{doors}, {controllers}, {readers}',
+            doors: { one: 'mlango {count}', other: 'milango {count}' },
+            controllers: { one: 'kidhibiti {count}', other: 'vidhibiti {count}' },
+            readers: { one: 'kisoma kadi {count}', other: 'visoma kadi {count}' }
+        },
+        telephony: {
+            label: 'Mifumo ya simu',
+            summary: 'Laini {extensions} za ndani kwenye IP PBX ya watumiaji {pbxSize} yenye laini {trunkLines} za nje'
+        }
+    },
+
+    quote: {
+        heading: 'Makadirio ya Gharama',
+        subtotal: 'Jumla ndogo',
+        vat: 'VAT ({rate}%)',
+        total: 'Jumla',
+        budgetRange: 'Kiwango cha bajeti: {low} – {high}',
+        disclaimer: 'Haya ni makadirio tu. Bei ya mwisho huthibitishwa baada ya ukaguzi wa eneo.',
+        items: {
+            accessPoint: 'Vituo vya WiFi',
+            networkSwitch: 'Swichi za mtandao za PoE (milango 24)',
+            cabling: 'Nyaya za Cat6',
+            patchPanel: 'Paneli za nyaya (milango 24)',
+            rack: 'Makabati ya mtandao',
+            cctvCamera: 'Kamera za CCTV (IP 4MP)',
+            nvr: 'Virekodi vya video vya mtandao',
+            surveillanceStorage: 'Hifadhi ya rekodi za ufuatiliaji',
+            accessControlDoor: 'Milango ya udhibiti wa kuingia (kufuli + kisoma kadi)',
+            accessController: 'Vidhibiti vya milango',
+            exitReader: 'Visoma kadi vya kutoka',
+            ipPbx: 'Mfumo wa IP PBX',
+            ipPhone: 'Simu za mezani za IP',
+            labourDay: 'Kazi ya ufungaji'
+        },
+        units: {
+            unit: { one: 'kipande', other: 'vipande' },
+            metre: { one: 'mita', other: 'mita' },
+            TB: 'TB',
+            door: { one: 'mlango', other: 'milango' },
+            day: { one: 'siku', other: 'siku' }
+        }
+    },
+
+    compare: {
+        item: 'Kipengele',
+        zones: 'Maeneo',
+        totalArea: 'Eneo lote',
+        usage: 'Matumizi',
+        accessPoints: 'Vituo vya WiFi',
+        devices: 'Vifaa vinavyohudumiwa',
+        workstations: 'Kompyuta za kazi',
+        servers: 'Seva',
+        services: 'Huduma',
+        none: 'Hakuna',
+        total: 'Jumla (pamoja na VAT)',
+        budgetRange: 'Kiwango cha bajeti',
+        outdated: 'Mojawapo ya machaguo haya lilihifadhiwa na toleo la zamani la kikokotoo.'
+    },
+
+    scenarios: {
+        defaultName: 'Chaguo {number}',
+        savedAt: '· limehifadhiwa {time}',
+        load: 'Fungua',
+        remove: 'Ondoa'
+    },
+
+    portfolio: {
+        loading: 'Inapakia miradi…',
+        loadFailed: 'Hatukuweza kupakia miradi yetu kwa sasa. Tafadhali jaribu tena baadaye.',
+        showing: { one: 'Inaonyesha {start}–{end} kati ya mradi {count}', other: 'Inaonyesha {start}–{end} kati ya miradi {count}' },
+        noMatches: 'Hakuna mradi unaolingana na utafutaji wako. Jaribu maneno machache au kichujio kingine.',
+        previousPage: 'Ukurasa uliotangulia',
+        nextPage: 'Ukurasa unaofuata',
+        page: 'Ukurasa {number}',
+        challenge: 'Changamoto',
+        solution: 'Tulichofanya',
+        outcome: 'Matokeo'
+    },
+
+    proposal: {
+        title: 'Pendekezo la Miundombinu ya TEHAMA',
+        reference: 'Kumb: {reference}',
+        issued: 'Tarehe: {date}',
+        model: 'Toleo la kanuni: v{version}',
+        validUntil: 'Halali hadi: {date}',
+        preparedFor: 'Limeandaliwa kwa',
+        siteDetails: 'Maelezo ya Eneo',
+        totalArea: 'Eneo lote: {area}',
+        zone: 'Eneo',
+        floor: 'Ghorofa',
+        construction: 'Aina ya jengo',
+        usage: 'Matumizi',
+        area: 'Ukubwa',
+        equipment: 'Vifaa Vinavyopendekezwa',
+        accessPoints: { one: 'Kituo {count} cha WiFi', other: 'Vituo {count} vya WiFi' },
+        workstationsAndServers: '{workstations} na {servers}',
+        devices: 'Inahudumia takriban vifaa {count}',
+        selectedServices: 'Huduma Zilizochaguliwa',
+        investment: 'Makadirio ya Uwekezaji',
+        item: 'Kipengele',
+        quantity: 'Idadi',
+        unitPrice: 'Bei ya kimoja',
+        amount: 'Kiasi',
+        budgetRange: 'Kiwango cha bajeti: <strong>{low} – {high}</strong>',
+        disclaimer: 'Haya ni makadirio kulingana na taarifa ulizotoa. Bei ya mwisho huthibitishwa baada ya ukaguzi wa eneo na ni halali hadi {date}.',
+        terms: 'Kazi zote zinafuata Masharti yetu ya Huduma:'
+    },
+
+    submissions: {
+        title: 'Maombi yako',
+        pending: 'Linasubiri kutumwa',
+        pendingOffline: 'Limehifadhiwa – linasubiri mtandao',
+        sending: 'Linatumwa…',
+        failed: 'Halijatumwa bado – tutajaribu tena',
+        sent: 'Limetumwa ✓',
+        untitled: 'Ombi lako'
+    },
+
+    lead: {
+        openWhatsApp: 'Fungua WhatsApp mwenyewe',
+        fallbackTitle: 'Hatukuweza kutuma ombi lako moja kwa moja',
+        fallbackMessage: 'Tafadhali litume kwetu kwa mojawapo ya njia hizi:',
+        copied: 'Limenakiliwa! Libandike kwenye WhatsApp au barua pepe',
+        copyFailed: 'Imeshindikana kunakili',
+        channels: {
+            whatsapp: 'Fungua WhatsApp',
+            formspree: 'Tuma mtandaoni',
+            email: 'Tuma kwa barua pepe',
+            clipboard: 'Nakili ujumbe'
+        },
+        titles: {
+            webDev: 'Ombi la tovuti – {name}',
+            itAssessment: 'Tathmini ya miundombinu ya TEHAMA – {name}'
+        }
+    }
+};
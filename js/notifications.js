@@ -0,0 +1,144 @@
+/**
+ * Notifications - stacked toast messages with screen reader announcements
+ * Success and info toasts are announced politely; warnings and errors
+ * interrupt. Toasts dismiss themselves after a while unless the visitor is
+ * hovering or has focus inside them, and can carry action buttons or links.
+ */
+
+const TOAST_VARIANTS = {
+    success: { icon: '✓', classes: 'border-green-600', iconClasses: 'text-green-600', urgent: false },
+    info: { icon: 'ℹ', classes: 'border-blue-700', iconClasses: 'text-blue-700', urgent: false },
+    warning: { icon: '⚠', classes: 'border-yellow-500', iconClasses: 'text-yellow-500', urgent: true },
+    error: { icon: '!', classes: 'border-red-600', iconClasses: 'text-red-600', urgent: true }
+};
+
+class ToastManager {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.duration] - default time on screen in ms
+     * @param {number} [options.maxVisible] - oldest toasts are dropped beyond this
+     * @param {string} [options.dismissLabel] - screen reader name of the close button
+     */
+    constructor({ duration = 6000, maxVisible = 4, dismissLabel = 'Dismiss notification' } = {}) {
+        this.duration = duration;
+        this.maxVisible = maxVisible;
+        this.dismissLabel = dismissLabel;
+        this.toasts = [];
+        this.nextId = 1;
+        this.container = this.createContainer();
+    }
+
+    /**
+     * Show a toast.
+     * @param {Object} toast
+     * @param {string} toast.message
+     * @param {string} [toast.title]
+     * @param {string} [toast.type] - success, info, warning or error
+     * @param {number} [toast.duration] - ms before dismissing, 0 keeps it until closed
+     * @param {Object[]} [toast.actions] - { label, onClick } buttons or { label, href } links
+     * @returns {{ id: number, element: HTMLElement, dismiss: Function }}
+     */
+    show({ message, title = '', type = 'info', duration, actions = [] }) {
+        const variant = TOAST_VARIANTS[type] || TOAST_VARIANTS.info;
+        const region = this.container.querySelector(`[data-toast-region="${variant.urgent ? 'assertive' : 'polite'}"]`);
+
+        const element = document.createElement('div');
+        element.className = `toast pointer-events-auto bg-white border-l-4 ${variant.classes} rounded-lg shadow-lg p-4 flex gap-3`;
+        element.dataset.toastType = type;
+        element.innerHTML = `
+            <span class="font-bold ${variant.iconClasses}" aria-hidden="true">${variant.icon}</span>
+            <div class="flex-1 text-sm">
+                ${title ? '<p class="toast-title font-heading font-semibold text-gray-900"></p>' : ''}
+                <p class="toast-message text-gray-700"></p>
+                <div class="toast-actions flex flex-wrap gap-2 mt-3 empty:hidden"></div>
+            </div>
+            <button type="button" class="toast-close text-gray-400 hover:text-gray-700 self-start text-lg leading-none">&times;</button>
+        `;
+        element.querySelector('.toast-close').setAttribute('aria-label', this.dismissLabel);
+        if (title) element.querySelector('.toast-title').textContent = title;
+        element.querySelector('.toast-message').textContent = message;
+
+        const toast = { id: this.nextId++, element, timer: null, remaining: duration ?? this.duration };
+        toast.dismiss = () => this.dismiss(toast);
+
+        const actionList = element.querySelector('.toast-actions');
+        actions.forEach(action => actionList.appendChild(this.createAction(action, toast)));
+        element.querySelector('.toast-close').addEventListener('click', toast.dismiss);
+
+        // Keep the toast up while the visitor is reading or using it
+        element.addEventListener('mouseenter', () => this.pause(toast));
+        element.addEventListener('mouseleave', () => this.resume(toast));
+        element.addEventListener('focusin', () => this.pause(toast));
+        element.addEventListener('focusout', (e) => {
+            if (!element.contains(e.relatedTarget)) this.resume(toast);
+        });
+
+        region.appendChild(element);
+        this.toasts.push(toast);
+        this.resume(toast);
+
+        while (this.toasts.length > this.maxVisible) {
+            this.dismiss(this.toasts[0]);
+        }
+        return { id: toast.id, element, dismiss: toast.dismiss };
+    }
+
+    createAction({ label, onClick, href, dismiss = true }, toast) {
+        const action = document.createElement(href ? 'a' : 'button');
+        action.className = 'inline-block bg-blue-700 text-white px-3 py-1.5 rounded-md hover:bg-blue-600';
+        action.textContent = label;
+
+        if (href) {
+            action.href = href;
+            action.target = '_blank';
+            action.rel = 'noopener';
+        } else {
+            action.type = 'button';
+        }
+
+        action.addEventListener('click', (event) => {
+            onClick?.(event, action);
+            if (dismiss) toast.dismiss();
+        });
+        return action;
+    }
+
+    dismiss(toast) {
+        clearTimeout(toast.timer);
+        toast.element.remove();
+        this.toasts = this.toasts.filter(item => item !== toast);
+    }
+
+    clear() {
+        [...this.toasts].forEach(toast => this.dismiss(toast));
+    }
+
+    pause(toast) {
+        if (!toast.timer) return;
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining -= Date.now() - toast.startedAt;
+    }
+
+    resume(toast) {
+        if (toast.timer || toast.remaining <= 0 || !toast.element.isConnected) return;
+        toast.startedAt = Date.now();
+        toast.timer = setTimeout(() => this.dismiss(toast), toast.remaining);
+    }
+
+    /**
+     * Live regions must already be in the page before content is added to
+     * them, otherwise screen readers miss the first announcement.
+     */
+    createContainer() {
+        const container = document.createElement('div');
+        container.id = 'toastContainer';
+        container.className = 'fixed bottom-4 right-4 left-4 sm:left-auto sm:w-96 z-50 flex flex-col gap-2 pointer-events-none';
+        container.innerHTML = `
+            <div class="flex flex-col gap-2" role="status" aria-live="polite" data-toast-region="polite"></div>
+            <div class="flex flex-col gap-2" role="alert" aria-live="assertive" data-toast-region="assertive"></div>
+        `;
+        document.body.appendChild(container);
+        return container;
+    }
+}
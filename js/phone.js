@@ -0,0 +1,90 @@
+/**
+ * Phone Numbers - parses what visitors type into E.164 (+254717340777)
+ * Numbers without a country code are read as Kenyan. Numbers for the
+ * countries listed here are checked against their national format; any other
+ * country is accepted as long as it has a plausible international length.
+ */
+
+const PHONE_COUNTRIES = {
+    KE: { name: 'Kenyan', dialCode: '254', trunkPrefix: '0', pattern: /^(?:[17]\d{8}|[2-6]\d{7,8})$/, example: '0712 345 678' },
+    UG: { name: 'Ugandan', dialCode: '256', trunkPrefix: '0', pattern: /^[237]\d{8}$/, example: '+256 712 345 678' },
+    TZ: { name: 'Tanzanian', dialCode: '255', trunkPrefix: '0', pattern: /^[2-7]\d{8}$/, example: '+255 712 345 678' },
+    RW: { name: 'Rwandan', dialCode: '250', trunkPrefix: '0', pattern: /^[27]\d{8}$/, example: '+250 712 345 678' }
+};
+
+class PhoneNumberParser {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.defaultCountry] - country assumed when no code is typed
+     * @param {Object} [options.countries] - national formats, defaults to PHONE_COUNTRIES
+     */
+    constructor({ defaultCountry = 'KE', countries = PHONE_COUNTRIES } = {}) {
+        this.defaultCountry = defaultCountry;
+        this.countries = countries;
+    }
+
+    /**
+     * Parse a typed phone number. Invalid numbers also carry an error `code`
+     * and its `details`, so the English message can be translated.
+     * @param {string} input
+     * @returns {{ valid: boolean, e164: string, country: string|null, error: string, code?: string, details?: Object }}
+     */
+    parse(input) {
+        const raw = String(input || '').trim();
+        if (!raw) return this.invalid('empty', 'Please enter your phone number');
+        if (/[^\d\s()+.\-/]/.test(raw)) return this.invalid('characters', 'Phone numbers can only contain digits, spaces and a leading +');
+
+        let digits = raw.replace(/[^\d+]/g, '');
+        if (digits.startsWith('00')) digits = `+${digits.slice(2)}`;
+        if (digits.lastIndexOf('+') > 0) return this.invalid('characters', 'Phone numbers can only contain digits, spaces and a leading +');
+
+        if (digits.startsWith('+')) return this.parseInternational(digits.slice(1));
+
+        // 254717340777 typed without the plus
+        const home = this.countries[this.defaultCountry];
+        if (digits.startsWith(home.dialCode) && home.pattern.test(digits.slice(home.dialCode.length))) {
+            return this.build(this.defaultCountry, digits.slice(home.dialCode.length));
+        }
+
+        return this.parseNational(this.defaultCountry, digits);
+    }
+
+    parseInternational(digits) {
+        const code = Object.keys(this.countries).find(key => digits.startsWith(this.countries[key].dialCode));
+        if (code) {
+            return this.parseNational(code, digits.slice(this.countries[code].dialCode.length));
+        }
+
+        // E.164 allows up to 15 digits including the country code
+        if (digits.length < 8 || digits.length > 15) {
+            return this.invalid('international', 'Please check the number, including the country code, e.g. +44 20 7946 0958');
+        }
+        return { valid: true, e164: `+${digits}`, country: null, error: '' };
+    }
+
+    parseNational(code, digits) {
+        const country = this.countries[code];
+        const national = digits.startsWith(country.trunkPrefix) ? digits.slice(country.trunkPrefix.length) : digits;
+
+        if (!country.pattern.test(national)) {
+            return this.invalid('national', `This doesn't look like a valid ${country.name} number. Try ${country.example}`, 
+                { country: code, example: country.example });
+        }
+        return this.build(code, national);
+    }
+
+    build(code, national) {
+        return { valid: true, e164: `+${this.countries[code].dialCode}${national}`, country: code, error: '' };
+    }
+
+    invalid(code, error, details = {}) {
+        return { valid: false, e164: '', country: null, error, code, details };
+    }
+
+    /**
+     * wa.me links take the international number without the plus
+     */
+    getWhatsAppLink(e164) {
+        return `https://wa.me/${e164.replace(/^\+/, '')}`;
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * Portfolio Filter - narrows and orders the case studies from data/portfolio.json
+ * Kept apart from the page so search, tag and sort behaviour can be checked
+ * on plain data.
+ */
+
+const PORTFOLIO_SORTERS = {
+    newest: (a, b) => b.completed.localeCompare(a.completed),
+    oldest: (a, b) => a.completed.localeCompare(b.completed),
+    title: (a, b) => a.title.localeCompare(b.title)
+};
+
+/**
+ * Narrow and order portfolio items. An item matches when it carries any of
+ * the selected tags and every word of the query appears somewhere in it.
+ * @param {Object[]} items
+ * @param {Object} [options]
+ * @param {string[]} [options.tags]
+ * @param {string} [options.query]
+ * @param {string} [options.sort] - a key of PORTFOLIO_SORTERS, unknown values sort newest first
+ * @returns {Object[]} a new array; items is left as it was
+ */
+function filterPortfolioItems(items, { tags = [], query = '', sort = 'newest' } = {}) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    const matches = items.filter(item => {
+        if (tags.length && !tags.some(tag => item.tags.includes(tag))) return false;
+
+        const text = [item.title, item.sector, item.summary, ...item.tags, ...item.services,
+                      ...Object.values(item.caseStudy || {})].join(' ').toLowerCase();
+        return terms.every(term => text.includes(term));
+    });
+
+    return matches.sort(PORTFOLIO_SORTERS[sort] || PORTFOLIO_SORTERS.newest);
+}
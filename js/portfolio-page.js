@@ -0,0 +1,356 @@
+/**
+ * Portfolio Page - the filterable project gallery and its case study viewer
+ * Filters, search, sort and page live in the address bar, so a filtered view
+ * or an open case study can be shared as a link.
+ */
+
+class PortfolioPage {
+    /**
+     * @param {DigitalSolutionsApp} app - shared language, analytics and formatting
+     * @param {HTMLElement} root - the portfolio section, lightbox included
+     */
+    constructor(app, root) {
+        this.app = app;
+        this.root = root;
+
+        const find = id => root.querySelector(`#${id}`);
+        this.elements = {
+            filterButtons: root.querySelectorAll('.filter-btn'),
+            grid: find('portfolioGrid'),
+            search: find('portfolioSearch'),
+            sort: find('portfolioSort'),
+            status: find('portfolioStatus'),
+            pagination: find('portfolioPagination'),
+            lightbox: find('portfolioLightbox'),
+            lightboxTitle: find('lightboxTitle'),
+            lightboxMeta: find('lightboxMeta'),
+            lightboxBody: find('lightboxBody'),
+            lightboxClose: find('lightboxClose'),
+            lightboxPrev: find('lightboxPrev'),
+            lightboxNext: find('lightboxNext')
+        };
+
+        this.constants = {
+            DATA_URL: '/data/portfolio.json',
+            PAGE_SIZE: 6,
+            DEFAULT_SORT: 'newest'
+        };
+
+        this.init();
+    }
+
+    init() {
+        if (!this.elements.grid) return;
+
+        const { search, sort, pagination, grid } = this.elements;
+        this.state = { items: [], ...this.readState() };
+
+        this.elements.filterButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleFilterClick(e));
+        });
+        if (search) {
+            search.value = this.state.query;
+            search.addEventListener('input', (e) => {
+                this.update({ query: e.target.value, page: 1 });
+            });
+            // Tracked on change rather than input, so one search is one event
+            search.addEventListener('change', (e) => {
+                if (e.target.value.trim()) this.app.trackEvent('portfolio_search', e.target.value.trim());
+            });
+        }
+        if (sort) {
+            sort.value = this.state.sort;
+            sort.addEventListener('change', (e) => {
+                this.update({ sort: e.target.value, page: 1 });
+                this.app.trackEvent('portfolio_sort', e.target.value);
+            });
+        }
+        pagination?.addEventListener('click', (e) => {
+            const pageBtn = e.target.closest('[data-page]');
+            if (pageBtn) {
+                this.update({ page: Number(pageBtn.dataset.page) });
+                grid.scrollIntoView({ behavior: 'smooth' });
+            }
+        });
+        grid.addEventListener('click', (e) => {
+            const card = e.target.closest('[data-project]');
+            if (card) this.openLightbox(card.dataset.project);
+        });
+        this.setupLightbox();
+
+        this.app.i18n.onChange(() => this.handleLocaleChange());
+        this.load();
+    }
+
+    handleLocaleChange() {
+        if (this.state.items.length) this.render();
+        if (this.elements.lightbox && !this.elements.lightbox.classList.contains('hidden')) {
+            this.showLightboxItem(this.lightboxIndex);
+        }
+    }
+
+    async load() {
+        this.setStatus(this.app.t('portfolio.loading'));
+
+        try {
+            const response = await fetch(this.constants.DATA_URL);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            if (!Array.isArray(data?.items)) throw new Error('Portfolio data has no items list');
+            this.state.items = data.items;
+        } catch (error) {
+            console.error('Error loading portfolio:', error);
+            this.setStatus(this.app.t('portfolio.loadFailed'));
+            return;
+        }
+
+        this.render();
+
+        // A shared link can point straight at one case study
+        if (this.state.openProject) this.openLightbox(this.state.openProject);
+    }
+
+    handleFilterClick(event) {
+        const filter = event.currentTarget.dataset.filter;
+        const tags = this.state.tags;
+
+        // "All" clears the selection; any other button toggles its tag
+        const nextTags = filter === 'all' ? []
+            : tags.includes(filter) ? tags.filter(tag => tag !== filter)
+            : [...tags, filter];
+
+        this.update({ tags: nextTags, page: 1 });
+        this.app.trackEvent('portfolio_filter', filter, { active_tags: nextTags.join(',') || 'all' });
+    }
+
+    update(changes) {
+        Object.assign(this.state, changes);
+        this.render();
+    }
+
+    render() {
+        const { PAGE_SIZE } = this.constants;
+        const matches = filterPortfolioItems(this.state.items, this.state);
+        const pageCount = Math.max(1, Math.ceil(matches.length / PAGE_SIZE));
+        const page = Math.min(Math.max(1, this.state.page), pageCount);
+        const start = (page - 1) * PAGE_SIZE;
+        const visible = matches.slice(start, start + PAGE_SIZE);
+
+        this.state.page = page;
+        this.state.matches = matches;
+
+        this.elements.filterButtons.forEach(btn => {
+            const isActive = btn.dataset.filter === 'all'
+                ? !this.state.tags.length
+                : this.state.tags.includes(btn.dataset.filter);
+            btn.setAttribute('aria-pressed', String(isActive));
+        });
+
+        this.elements.grid.innerHTML = visible.map(item => this.buildCard(item)).join('');
+
+        this.setStatus(matches.length
+            ? this.app.t('portfolio.showing', { start: start + 1, end: start + visible.length, count: matches.length })
+            : this.app.t('portfolio.noMatches'));
+
+        this.renderPagination(page, pageCount);
+        this.writeState();
+    }
+
+    setStatus(text) {
+        if (this.elements.status) this.elements.status.textContent = text;
+    }
+
+    buildCard(item) {
+        const cover = item.media.find(media => media.type === 'image');
+
+        return `
+            <li class="portfolio-item">
+                <button type="button" data-project="${this.app.escapeHTML(item.id)}"
+                        class="w-full h-full text-left bg-white rounded-xl shadow-md overflow-hidden hover:shadow-xl transition focus:outline-none focus:ring-2 focus:ring-blue-500">
+                    ${cover ? `<img src="${this.app.escapeHTML(cover.src)}" alt="${this.app.escapeHTML(cover.alt)}" loading="lazy" class="w-full h-48 object-cover">` : ''}
+                    <div class="p-5">
+                        <p class="text-sm text-blue-700 font-medium">${this.app.escapeHTML(item.sector)}</p>
+                        <h3 class="font-heading text-lg font-semibold text-gray-900 mt-1">${this.app.escapeHTML(item.title)}</h3>
+                        <p class="text-gray-600 text-sm mt-2">${this.app.escapeHTML(item.summary)}</p>
+                    </div>
+                </button>
+            </li>
+        `;
+    }
+
+    renderPagination(page, pageCount) {
+        const pagination = this.elements.pagination;
+        if (!pagination) return;
+        if (pageCount === 1) {
+            pagination.innerHTML = '';
+            return;
+        }
+
+        const pageButton = (target, label, { current = false, disabled = false, ariaLabel = '' } = {}) => `
+            <button type="button" data-page="${target}" ${disabled ? 'disabled' : ''}
+                    ${current ? 'aria-current="page"' : ''} ${ariaLabel ? `aria-label="${ariaLabel}"` : ''}
+                    class="px-4 py-2 rounded-md border ${current ? 'bg-blue-700 text-white border-blue-700' : 'border-gray-300 hover:bg-gray-100'} disabled:opacity-50">
+                ${label}
+            </button>`;
+
+        let html = pageButton(page - 1, '&larr;', { disabled: page === 1, ariaLabel: this.app.t('portfolio.previousPage') });
+        for (let i = 1; i <= pageCount; i++) {
+            html += pageButton(i, i, { current: i === page, ariaLabel: this.app.t('portfolio.page', { number: i }) });
+        }
+        html += pageButton(page + 1, '&rarr;', { disabled: page === pageCount, ariaLabel: this.app.t('portfolio.nextPage') });
+
+        pagination.innerHTML = html;
+    }
+
+    readState() {
+        const params = new URLSearchParams(window.location.search);
+        return {
+            tags: params.getAll('tag'),
+            query: params.get('q') || '',
+            sort: params.get('sort') || this.constants.DEFAULT_SORT,
+            page: Number(params.get('page')) || 1,
+            openProject: params.get('project')
+        };
+    }
+
+    writeState() {
+        const url = new URL(window.location.href);
+        const { tags, query, sort, page, openProject } = this.state;
+        const values = {
+            q: query.trim(),
+            sort: sort === this.constants.DEFAULT_SORT ? '' : sort,
+            page: page > 1 ? page : '',
+            project: openProject || ''
+        };
+
+        // Only non-default values go in the link, e.g. ?tag=cctv&tag=wifi#portfolio
+        url.searchParams.delete('tag');
+        tags.forEach(tag => url.searchParams.append('tag', tag));
+        Object.entries(values).forEach(([key, value]) => {
+            if (value) {
+                url.searchParams.set(key, value);
+            } else {
+                url.searchParams.delete(key);
+            }
+        });
+
+        if (url.href !== window.location.href) {
+            window.history.replaceState(window.history.state, '', url);
+        }
+    }
+
+    // =====================
+    // CASE STUDY LIGHTBOX
+    // =====================
+    setupLightbox() {
+        const { lightbox, lightboxClose, lightboxPrev, lightboxNext } = this.elements;
+        if (!lightbox) return;
+
+        lightboxClose?.addEventListener('click', () => this.closeLightbox());
+        lightboxPrev?.addEventListener('click', () => this.stepLightbox(-1));
+        lightboxNext?.addEventListener('click', () => this.stepLightbox(1));
+
+        // Clicking the dimmed backdrop closes the viewer
+        lightbox.addEventListener('click', (e) => {
+            if (e.target === lightbox) this.closeLightbox();
+        });
+
+        lightbox.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeLightbox();
+            if (e.key === 'ArrowLeft') this.stepLightbox(-1);
+            if (e.key === 'ArrowRight') this.stepLightbox(1);
+            if (e.key === 'Tab') this.trapLightboxFocus(e);
+        });
+    }
+
+    openLightbox(projectId) {
+        // Deep links may name a project hidden by the current filters
+        const list = this.state.matches.some(item => item.id === projectId)
+            ? this.state.matches
+            : this.state.items;
+        const index = list.findIndex(item => item.id === projectId);
+        if (index === -1 || !this.elements.lightbox) return;
+
+        this.lightboxList = list;
+        this.lastFocused = document.activeElement;
+        this.elements.lightbox.classList.remove('hidden');
+        document.body.classList.add('lightbox-open');
+
+        this.showLightboxItem(index);
+        (this.elements.lightboxClose || this.elements.lightbox).focus();
+        this.app.trackEvent('portfolio_case_study_open', projectId);
+    }
+
+    closeLightbox() {
+        if (!this.elements.lightbox || this.elements.lightbox.classList.contains('hidden')) return;
+
+        this.elements.lightbox.classList.add('hidden');
+        document.body.classList.remove('lightbox-open');
+        if (this.elements.lightboxBody) this.elements.lightboxBody.innerHTML = '';
+        this.state.openProject = null;
+        this.writeState();
+
+        // Return focus to the card that opened the viewer
+        const current = this.lightboxList[this.lightboxIndex];
+        const card = this.elements.grid.querySelector(`[data-project="${current.id}"]`);
+        (card || this.lastFocused)?.focus();
+    }
+
+    stepLightbox(direction) {
+        const count = this.lightboxList.length;
+        this.showLightboxItem((this.lightboxIndex + direction + count) % count);
+    }
+
+    showLightboxItem(index) {
+        const item = this.lightboxList[index];
+        const { caseStudy = {} } = item;
+
+        this.lightboxIndex = index;
+        this.state.openProject = item.id;
+        this.writeState();
+
+        const { lightboxTitle, lightboxMeta, lightboxBody, lightboxPrev, lightboxNext } = this.elements;
+        if (lightboxTitle) lightboxTitle.textContent = item.title;
+        if (lightboxMeta) lightboxMeta.textContent = `${item.sector} · ${item.services.join(', ')}`;
+
+        const single = this.lightboxList.length < 2;
+        lightboxPrev?.classList.toggle('invisible', single);
+        lightboxNext?.classList.toggle('invisible', single);
+        if (!lightboxBody) return;
+
+        const media = item.media.map(entry => entry.type === 'video'
+            ? `<video src="${this.app.escapeHTML(entry.src)}" controls preload="none" class="w-full rounded-lg"
+                      aria-label="${this.app.escapeHTML(entry.alt)}"></video>`
+            : `<img src="${this.app.escapeHTML(entry.src)}" alt="${this.app.escapeHTML(entry.alt)}" class="w-full rounded-lg">`
+        ).join('');
+
+        const sections = [['challenge', caseStudy.challenge], ['solution', caseStudy.solution], ['outcome', caseStudy.outcome]]
+            .filter(([, text]) => text)
+            .map(([heading, text]) => `
+                <h4 class="font-heading font-semibold text-gray-900 mt-4">${this.app.t(`portfolio.${heading}`)}</h4>
+                <p class="text-gray-600">${this.app.escapeHTML(text)}</p>
+            `).join('');
+
+        lightboxBody.innerHTML = `
+            <div class="grid gap-4 mb-4">${media}</div>
+            <p class="text-gray-700">${this.app.escapeHTML(item.summary)}</p>
+            ${sections}
+        `;
+    }
+
+    trapLightboxFocus(event) {
+        const focusable = Array.from(this.elements.lightbox.querySelectorAll(
+            'button:not(.invisible), a[href], video[controls], [tabindex]:not([tabindex="-1"])'
+        ));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+}
@@ -0,0 +1,39 @@
+/**
+ * Price Catalog - unit prices used to build the IT assessment quote
+ * All prices are in KES and exclude VAT. Update the figures here and every
+ * estimate on the site (on-page summary and WhatsApp message) follows.
+ */
+
+const PRICE_CATALOG = {
+    currency: 'KES',
+    vatRate: 0.16,
+
+    // The estimate is shown as a range around the calculated total
+    range: {
+        low: 0.9,
+        high: 1.25
+    },
+
+    // Unit prices
+    items: {
+        accessPoint: { label: 'WiFi access points', unit: 'unit', price: 18500 },
+        networkSwitch: { label: 'PoE network switches (24-port)', unit: 'unit', price: 42000 },
+        cabling: { label: 'Cat6 cabling', unit: 'metre', price: 150 },
+        patchPanel: { label: 'Patch panels (24-port)', unit: 'unit', price: 6500 },
+        rack: { label: 'Network racks', unit: 'unit', price: 32000 },
+        cctvCamera: { label: 'CCTV cameras (4MP IP)', unit: 'unit', price: 9500 },
+        nvr: { label: 'Network video recorders', unit: 'unit', price: 28000 },
+        surveillanceStorage: { label: 'Surveillance storage', unit: 'TB', unitPlural: 'TB', price: 6000 },
+        accessControlDoor: { label: 'Access-control doors (lock + reader)', unit: 'door', price: 35000 },
+        accessController: { label: 'Door controllers', unit: 'unit', price: 22000 },
+        exitReader: { label: 'Exit readers', unit: 'unit', price: 7500 },
+        ipPbx: { label: 'IP PBX system', unit: 'unit', price: 65000 },
+        ipPhone: { label: 'IP desk phones', unit: 'unit', price: 8500 },
+        labourDay: { label: 'Installation labour', unit: 'day', price: 12000 }
+    },
+
+    // Pricing assumptions
+    assumptions: {
+        INSTALLS_PER_LABOUR_DAY: 8
+    }
+};
@@ -1,54 +1,63 @@
 /**
- * Digital Solutions App - Main Application Script
- * Handles portfolio filtering, IT infrastructure assessment, web development form, and general functionality
+ * Digital Solutions App - shared core for every page
+ * Language, notifications, consent and analytics, spam checks, validation and
+ * lead delivery. The page controllers (js/it-assessment-page.js,
+ * js/portfolio-page.js, js/web-dev-wizard.js) are started at the bottom of this file.
  */
 
 class DigitalSolutionsApp {
     constructor() {
         // DOM Elements
         this.elements = {
-            // Portfolio elements
-            filterButtons: document.querySelectorAll('.filter-btn'),
-            portfolioItems: document.querySelectorAll('.portfolio-item'),
-            
-            // IT Assessment elements
-            connectivityForm: document.getElementById('connectivityForm'),
-            areaInput: document.getElementById('area'),
-            buildingTypeSelect: document.getElementById('buildingType'),
-            resultText: document.getElementById('resultText'),
-            deviceCount: document.getElementById('deviceCount'),
-            additionalServicesText: document.getElementById('additionalServicesText'),
-            estimateResult: document.getElementById('estimateResult'),
-            ctaButton: document.getElementById('ctaButton'),
-            yearElement: document.getElementById('year'),
-            itFullName: document.getElementById('itFullName'),
-            itPhone: document.getElementById('itPhone'),
-            
-            // Web Development Form elements
-            webDevForm: document.getElementById('webDevelopmentForm'),
-            step1: document.getElementById('step1'),
-            step2: document.getElementById('step2'),
-            step3: document.getElementById('step3'),
-            step4: document.getElementById('step4'),
-            thankYouMessage: document.getElementById('thankYouMessage'),
-            hasWebsiteRadios: document.querySelectorAll('input[name="hasWebsite"]'),
-            problemsSection: document.getElementById('problemsSection'),
-            benefitsSection: document.getElementById('benefitsSection'),
-            websiteUrlContainer: document.getElementById('websiteUrlContainer'),
-            problemCards: document.querySelectorAll('.problem-card'),
-            submitBtn: document.getElementById('submitBtn'),
-            honeypotField: document.getElementById('website')
+            yearElement: document.getElementById('year')
         };
 
         // Application constants
         this.constants = {
-            BASE_COVERAGE: 1500,
-            DEVICE_FACTOR: 2,
-            SERVER_FACTOR_SQFT: 5000,
-            WORKSTATION_FACTOR_SQFT: 200,
-            MIN_AREA: 100,
-            MAX_AREA: 100000,
-            WHATSAPP_NUMBER: '254717340777' // Business WhatsApp number
+            // Formatting and measurement units (calculations run in sq ft).
+            // Numbers and money are Kenyan in every language; dates follow the visitor's.
+            LOCALE: 'en-KE',
+            AREA_UNITS: {
+                sqm: { areaLabel: 'm²', lengthLabel: 'm', sqftPerUnit: 10.7639, ftPerUnit: 3.28084, 
+                       areaExample: 150, perimeterExample: 120 },
+                sqft: { areaLabel: 'sq. ft', lengthLabel: 'ft', sqftPerUnit: 1, ftPerUnit: 1, 
+                        areaExample: 1500, perimeterExample: 400 }
+            },
+
+            CONTACT_PHONE: '+254 717 340 777',
+            CONTACT_EMAIL: 'dev.wiredwise@outlook.com',
+            WHATSAPP_NUMBER: '254717340777', // Business WhatsApp number
+
+            // Interface language, see js/i18n.js. Leads always reach us in English.
+            LOCALE_STORAGE_KEY: 'wiredwise.locale',
+            LEAD_LOCALE: 'en',
+
+            // Lead delivery: channels tried in order until one gets the lead out, so
+            // Formspree only runs when WhatsApp is blocked; then offered manually
+            FORMSPREE_ENDPOINT: 'https://formspree.io/f/mpwezqzz',
+            LEAD_CHANNEL_ORDER: ['whatsapp', 'formspree'],
+            LEAD_FALLBACK_CHANNELS: ['whatsapp', 'email', 'clipboard'],
+
+            // Queued leads are flushed without a user gesture, so popups are out
+            LEAD_QUEUE_CHANNEL_ORDER: ['formspree'],
+            SERVICE_WORKER_PATH: '/sw.js',
+
+            // Analytics stay off until the visitor opts in, see js/analytics.js
+            // GA4 measurement ID, e.g. 'G-XXXXXXXXXX', from Google Analytics > Admin >
+            // Data streams > the site's web stream. Empty means no tag is loaded.
+            ANALYTICS_MEASUREMENT_ID: '',
+            CONSENT_STORAGE_KEY: 'wiredwise.consent',
+            CONSENT_VERSION: 1, // bump when the banner wording or tools change
+            PRIVACY_PATH: '/legal/privacypolicy.html',
+
+            // Checks shared by both lead forms, see js/spam-guard.js
+            SPAM_PROTECTION: {
+                minCompletionSeconds: { webDev: 20, itAssessment: 10 },
+                maxSubmissions: 3,
+                rateWindowMinutes: 30,
+                duplicateWindowHours: 24,
+                challenge: null // 'recaptcha' once the widget is on the page
+            }
         };
 
         // Initialize the application
@@ -56,67 +65,163 @@ class DigitalSolutionsApp {
     }
 
     init() {
-        this.initEventListeners();
+        this.setupI18n();
+        this.setupNotifications();
+        this.setupAnalytics();
         this.setCopyrightYear();
-        this.setupProblemCards();
-        this.setupStepNavigation();
+        this.setupOfflineSupport();
+        this.setupSpamProtection();
     }
 
-    initEventListeners() {
-        // Portfolio filtering
-        this.elements.filterButtons.forEach(btn => {
-            btn.addEventListener('click', (e) => this.handleFilterClick(e));
-        });
+    setupNotifications() {
+        // The legal pages don't load the notifications script
+        if (typeof ToastManager === 'undefined') return;
+        this.toasts = new ToastManager({ dismissLabel: this.t('toast.dismiss') });
+    }
 
-        // IT Assessment form
-        if (this.elements.connectivityForm) {
-            this.elements.connectivityForm.addEventListener('submit', 
-                (e) => this.handleServiceFormSubmit(e));
-        }
+    // =====================
+    // LANGUAGE
+    // =====================
+    setupI18n() {
+        this.i18n = new Translator({ storageKey: this.constants.LOCALE_STORAGE_KEY });
+        this.i18n.translatePage();
+        this.updateLanguageSwitcher();
 
-        // Area input validation
-        if (this.elements.areaInput) {
-            this.elements.areaInput.addEventListener('input', 
-                () => this.validateAreaInput());
-        }
+        document.querySelectorAll('[data-locale]').forEach(button => {
+            button.addEventListener('click', () => this.i18n.setLocale(button.dataset.locale));
+        });
+        this.i18n.onChange(locale => this.handleLocaleChange(locale));
+    }
 
-        // Web Development form
-        if (this.elements.webDevForm) {
-            this.elements.webDevForm.addEventListener('submit', 
-                (e) => this.handleWebDevSubmit(e));
-        }
+    t(key, params, locale) {
+        return this.i18n.t(key, params, locale);
+    }
 
-        // Website existence toggle
-        this.elements.hasWebsiteRadios.forEach(radio => {
-            radio.addEventListener('change', 
-                () => this.toggleWebsiteFields(radio.value === 'yes'));
+    updateLanguageSwitcher() {
+        document.querySelectorAll('[data-locale]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.locale === this.i18n.locale));
         });
+    }
 
-        // IT CTA button
-        if (this.elements.ctaButton) {
-            this.elements.ctaButton.addEventListener('click', 
-                (e) => this.handleITCTA(e));
+    // The page text is already swapped; redraw what the app wrote.
+    // Each page controller redraws its own section.
+    handleLocaleChange(locale) {
+        this.updateLanguageSwitcher();
+        if (this.toasts) this.toasts.dismissLabel = this.t('toast.dismiss');
+
+        if (document.getElementById('consentBanner')) {
+            document.getElementById('consentBanner').remove();
+            this.showConsentBanner();
         }
+        this.renderSubmissionStatus();
+
+        this.trackEvent('language_change', locale);
     }
 
-    setupProblemCards() {
-        this.elements.problemCards.forEach(card => {
-            card.addEventListener('click', (e) => {
-                if (e.target.tagName !== 'INPUT') {
-                    const checkbox = card.querySelector('input[type="checkbox"]');
-                    checkbox.checked = !checkbox.checked;
-                    card.classList.toggle('selected', checkbox.checked);
-                }
-            });
+    // =====================
+    // PRIVACY & ANALYTICS
+    // =====================
+    setupAnalytics() {
+        // The legal pages only need the banner, but check the script is there
+        if (typeof Analytics === 'undefined') return;
+
+        this.analytics = new Analytics({
+            providerConfig: { measurementId: this.constants.ANALYTICS_MEASUREMENT_ID },
+            storageKey: this.constants.CONSENT_STORAGE_KEY,
+            consentVersion: this.constants.CONSENT_VERSION
         });
+
+        document.querySelectorAll('[data-consent-settings]').forEach(button => {
+            button.addEventListener('click', () => this.showConsentBanner({ focus: true }));
+        });
+        if (this.analytics.getConsent() === null) this.showConsentBanner();
     }
 
-    setupStepNavigation() {
-        document.querySelectorAll('[data-step-target]').forEach(btn => {
-            btn.addEventListener('click', () => {
-                this.showStep(btn.dataset.stepTarget);
+    showConsentBanner({ focus = false } = {}) {
+        let banner = document.getElementById('consentBanner');
+        if (!banner) {
+            banner = document.createElement('section');
+            banner.id = 'consentBanner';
+            banner.lang = this.i18n.locale;
+            banner.setAttribute('aria-labelledby', 'consentTitle');
+            banner.className = 'fixed bottom-0 inset-x-0 z-40 bg-white border-t border-gray-200 shadow-lg p-4';
+            banner.innerHTML = `
+                <div class="container mx-auto max-w-4xl flex flex-col md:flex-row md:items-center gap-4">
+                    <div class="flex-1 text-sm text-gray-700">
+                        <p id="consentTitle" class="font-heading font-semibold text-gray-900">${this.t('consent.title')}</p>
+                        <p>${this.t('consent.body')}
+                           <a href="${this.constants.PRIVACY_PATH}" class="text-blue-700 underline">${this.t('consent.privacyPolicy')}</a></p>
+                    </div>
+                    <div class="flex gap-3">
+                        <button type="button" data-consent="denied"
+                            class="border border-gray-300 px-4 py-2 rounded-md hover:bg-gray-100">${this.t('consent.decline')}</button>
+                        <button type="button" data-consent="granted"
+                            class="bg-blue-700 text-white px-4 py-2 rounded-md hover:bg-blue-600">${this.t('consent.accept')}</button>
+                    </div>
+                </div>
+            `;
+            banner.addEventListener('click', (e) => {
+                const choice = e.target.closest('[data-consent]');
+                if (choice) this.handleConsentChoice(choice.dataset.consent === 'granted');
             });
-        });
+            document.body.appendChild(banner);
+        }
+
+        if (focus) banner.querySelector('[data-consent="granted"]').focus();
+    }
+
+    handleConsentChoice(granted) {
+        this.analytics.setConsent(granted);
+        document.getElementById('consentBanner')?.remove();
+    }
+
+    setupSpamProtection() {
+        if (typeof SpamGuard === 'undefined') return;
+
+        // Each page controller hands over its own form to watch
+        this.spamGuard = new SpamGuard(this.constants.SPAM_PROTECTION);
+    }
+
+    /**
+     * Resolves false when the submission looks automated, repeated or too
+     * frequent; the visitor is told why unless it looks like a bot.
+     */
+    async passesSpamCheck(form, payload) {
+        if (!this.spamGuard) {
+            return !Array.from(form.querySelectorAll('[data-honeypot]')).some(field => field.value !== '');
+        }
+
+        const verdict = await this.spamGuard.check(form, payload);
+        if (verdict.ok) return true;
+
+        if (verdict.message) {
+            this.showToast(this.t(`spam.${verdict.reason}`, { defaultValue: verdict.message }), 
+                { type: verdict.reason === 'duplicate' ? 'info' : 'warning' });
+        }
+        this.trackEvent('submission_blocked', verdict.reason);
+        return false;
+    }
+
+    setupOfflineSupport() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register(this.constants.SERVICE_WORKER_PATH)
+                .catch(error => console.error('Service worker registration failed:', error));
+        }
+
+        if (typeof SubmissionQueue === 'undefined' || !SubmissionQueue.isSupported()) return;
+
+        this.submissionQueue = new SubmissionQueue();
+        this.recentlySent = [];
+
+        window.addEventListener('online', () => this.flushSubmissionQueue());
+        window.addEventListener('offline', () => this.renderSubmissionStatus());
+
+        // Pick up anything left over from a previous visit
+        if (navigator.onLine) {
+            this.flushSubmissionQueue();
+        } else {
+            this.renderSubmissionStatus();
+        }
     }
 
     // =====================
@@ -128,371 +233,371 @@ class DigitalSolutionsApp {
         }
     }
 
-    showStep(stepId) {
-        // Hide all steps
-        [this.elements.step1, this.elements.step2, 
-         this.elements.step3, this.elements.step4].forEach(step => {
-            step?.classList.add('hidden');
-        });
-        
-        // Show requested step
-        document.getElementById(stepId)?.classList.remove('hidden');
-    }
-
     // =====================
-    // PORTFOLIO FUNCTIONALITY
+    // FORM VALIDATION
     // =====================
-    handleFilterClick(event) {
-        const clickedButton = event.currentTarget;
-        
-        // Update button states
-        this.elements.filterButtons.forEach(btn => {
-            btn.classList.toggle('bg-blue-700', btn === clickedButton);
-            btn.classList.toggle('text-white', btn === clickedButton);
-            btn.classList.toggle('border', btn !== clickedButton);
-            btn.classList.toggle('border-gray-300', btn !== clickedButton);
-            btn.classList.toggle('hover:bg-gray-100', btn !== clickedButton);
-        });
+    getValidator() {
+        if (!this.validator) this.validator = new FormValidator({ phoneParser: this.getPhoneParser() });
+        return this.validator;
+    }
+
+    // Errors come back as message keys; the phone parser's English is the fallback
+    formatValidationError(error) {
+        if (!error) return '';
 
-        // Filter items
-        this.filterPortfolioItems(clickedButton.dataset.filter);
+        const params = { ...error.params, defaultValue: error.message };
+        if (params.country) {
+            params.countryName = this.t(`phone.countries.${params.country}`, { defaultValue: params.country });
+        }
+        return this.t(error.key, params);
     }
 
-    filterPortfolioItems(filter) {
-        this.elements.portfolioItems.forEach(item => {
-            const shouldShow = filter === 'all' || item.dataset.category.includes(filter);
-            item.style.display = shouldShow ? 'block' : 'none';
-            
-            if (shouldShow) {
-                item.style.animation = 'fadeIn 0.3s ease-out';
+    setFieldError(name, message, form) {
+        const errorEl = form?.querySelector(`[data-error-for="${name}"]`);
+        const field = form?.elements.namedItem(name);
+        const inputs = field instanceof RadioNodeList ? Array.from(field) : [field].filter(Boolean);
+
+        inputs.forEach(input => {
+            if (message) {
+                input.setAttribute('aria-invalid', 'true');
+                if (errorEl) {
+                    errorEl.id = errorEl.id || `${name}-error`;
+                    input.setAttribute('aria-describedby', errorEl.id);
+                }
+            } else {
+                input.removeAttribute('aria-invalid');
             }
         });
+
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.classList.toggle('hidden', !message);
+        }
+    }
+
+    clearFieldError(name, form) {
+        if (name) this.setFieldError(name, '', form);
+    }
+
+    // reCAPTCHA callback, see the 'recaptcha' challenge in js/spam-guard.js
+    enableSubmit() {
+        document.querySelectorAll('form[data-spam-guard] [type="submit"]').forEach(button => button.disabled = false);
     }
 
     // =====================
-    // IT ASSESSMENT FUNCTIONALITY
+    // LEAD BUILDERS
     // =====================
-    validateAreaInput() {
-        const value = parseFloat(this.elements.areaInput.value);
-        
-        if (isNaN(value) || value < this.constants.MIN_AREA) {
-            this.elements.areaInput.setCustomValidity(
-                `Please enter an area of at least ${this.constants.MIN_AREA} sq. ft`
-            );
-        } else if (value > this.constants.MAX_AREA) {
-            this.elements.areaInput.setCustomValidity(
-                `Maximum area is ${this.constants.MAX_AREA} sq. ft`
-            );
-        } else {
-            this.elements.areaInput.setCustomValidity('');
+    // Leads always reach us in English, see js/lead-messages.js
+    getLeadMessages() {
+        if (!this.leadMessages) {
+            this.leadMessages = new LeadMessageBuilder({
+                translator: this.i18n,
+                locale: this.constants.LEAD_LOCALE,
+                phoneParser: this.getPhoneParser(),
+                numberLocale: this.constants.LOCALE,
+                areaUnits: this.constants.AREA_UNITS
+            });
         }
+        return this.leadMessages;
     }
 
-    handleServiceFormSubmit(event) {
-        event.preventDefault();
+    getPhoneParser() {
+        if (!this.phoneParser) this.phoneParser = new PhoneNumberParser();
+        return this.phoneParser;
+    }
 
-        // Validate required fields
-        if (!this.elements.areaInput.checkValidity()) {
-            this.elements.areaInput.reportValidity();
-            return;
-        }
-        
-        if (!this.elements.itFullName.checkValidity() || !this.elements.itPhone.checkValidity()) {
-            this.showErrorToast("Please provide your name and phone number");
-            return;
-        }
+    getPhoneError(value) {
+        return this.formatValidationError(this.getValidator().checkPhone(value));
+    }
 
-        try {
-            const formData = this.getITFormData();
-            const results = this.calculateITNeeds(formData);
-            this.displayITResults(formData, results);
-            this.trackEvent('it_assessment_submission', 'IT Infrastructure Assessment');
-        } catch (error) {
-            console.error('Error processing IT assessment:', error);
-            this.showErrorToast("An error occurred. Please try again.");
-        }
+    // Leads carry E.164 numbers; anything unparseable is passed on as typed
+    normalizePhone(value) {
+        const parsed = this.getPhoneParser().parse(value);
+        return parsed.valid ? parsed.e164 : value.trim();
     }
 
-    getITFormData() {
-        return {
-            fullName: this.elements.itFullName.value,
-            phone: this.elements.itPhone.value,
-            area: parseFloat(this.elements.areaInput.value),
-            buildingFactor: parseFloat(this.elements.buildingTypeSelect.value),
-            usageFactor: parseFloat(document.querySelector('input[name="usage"]:checked').value),
-            needsCabling: document.querySelector('input[name="structuredCabling"]').checked,
-            needsCCTV: document.querySelector('input[name="cctv"]').checked,
-            needsAccessControl: document.querySelector('input[name="accessControl"]').checked,
-            needsTelephony: document.querySelector('input[name="telephony"]').checked,
-            buildingType: this.elements.buildingTypeSelect.selectedOptions[0].text
-        };
+    getLeadScorer() {
+        if (!this.leadScorer) this.leadScorer = new LeadScorer();
+        return this.leadScorer;
     }
 
-    calculateITNeeds(data) {
-        const { area, buildingFactor, usageFactor } = data;
-        const { DEVICE_FACTOR, SERVER_FACTOR_SQFT, WORKSTATION_FACTOR_SQFT } = this.constants;
-
-        const accessPoints = Math.max(1, Math.ceil((area * buildingFactor * usageFactor) / this.constants.BASE_COVERAGE));
-        const estimatedDevices = Math.max(1, Math.floor(area / 100 * usageFactor * DEVICE_FACTOR));
-        const recommendedServers = Math.max(1, Math.ceil(area / SERVER_FACTOR_SQFT));
-        const recommendedWorkstations = Math.max(1, Math.ceil(area / WORKSTATION_FACTOR_SQFT));
-
-        return { accessPoints, estimatedDevices, recommendedServers, recommendedWorkstations };
-    }
-
-    displayITResults(formData, results) {
-        const { area, buildingType, needsCabling, needsCCTV, needsAccessControl, needsTelephony } = formData;
-        const { accessPoints, estimatedDevices, recommendedServers, recommendedWorkstations } = results;
-
-        // Generate results HTML
-        let html = `
-            <div class="space-y-3">
-                <p>For your <strong>${area.toLocaleString()} sq. ft ${buildingType}</strong>, we recommend:</p>
-                <p class="flex items-center">
-                    <svg class="w-5 h-5 text-blue-600 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"></path>
-                    </svg>
-                    <strong>${accessPoints <= 1 ? '1 WiFi system' : `${accessPoints} access points`}</strong>
-                </p>
-                <p class="flex items-center">
-                    <svg class="w-5 h-5 text-blue-600 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"></path>
-                    </svg>
-                    <strong>${recommendedWorkstations} workstations</strong> and 
-                    <strong>${recommendedServers} server${recommendedServers > 1 ? 's' : ''}</strong>
-                </p>
-        `;
+    // =====================
+    // LEAD DELIVERY
+    // =====================
+    getLeadDispatcher() {
+        if (!this.leadDispatcher) {
+            this.leadDispatcher = new LeadDispatcher({
+                order: this.constants.LEAD_CHANNEL_ORDER,
+                whatsappNumber: this.constants.WHATSAPP_NUMBER,
+                formEndpoint: this.constants.FORMSPREE_ENDPOINT,
+                email: this.constants.CONTACT_EMAIL
+            });
+        }
+        return this.leadDispatcher;
+    }
 
-        // Additional services
-        const services = [];
-        if (needsCabling) services.push("structured cabling");
-        if (needsCCTV) services.push("CCTV");
-        if (needsAccessControl) services.push("access control");
-        if (needsTelephony) services.push("telephony");
-
-        if (services.length) {
-            html += `
-                <p class="flex items-center">
-                    <svg class="w-5 h-5 text-blue-600 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"></path>
-                    </svg>
-                    Consider adding <strong>${services.join(", ")}</strong>
-                </p>
-            `;
-            this.elements.additionalServicesText.textContent = `Includes ${services.join(", ")}`;
-            this.elements.ctaButton.textContent = "Get Complete IT Solution Quote";
-        } else {
-            this.elements.additionalServicesText.textContent = "Basic IT infrastructure assessment";
-            this.elements.ctaButton.textContent = "Get Free IT Consultation";
+    async dispatchLead(lead) {
+        // Offline: keep the lead and send it when the connection returns
+        if (!navigator.onLine && this.submissionQueue) {
+            const queued = await this.queueLead(lead);
+            if (queued) {
+                this.showToast(this.t('toast.offlineQueued'));
+            } else {
+                this.showLeadFallback(lead);
+            }
+            return { delivered: false, confirmed: false, queued, attempts: [] };
         }
 
-        html += `</div>`;
-        this.elements.resultText.innerHTML = html;
-        this.elements.deviceCount.textContent = estimatedDevices.toLocaleString();
-        this.elements.estimateResult.classList.remove('hidden');
+        const result = await this.getLeadDispatcher().dispatch(lead);
 
-        // Scroll to results
-        setTimeout(() => {
-            this.elements.estimateResult.scrollIntoView({ behavior: 'smooth' });
-        }, 100);
-    }
+        result.attempts.forEach(({ channel, ok }) => {
+            this.trackEvent(ok ? 'lead_channel_success' : 'lead_channel_failure', channel);
+            if (channel === 'whatsapp') this.trackEvent('whatsapp_handoff', ok ? 'opened' : 'blocked');
+        });
 
-    handleITCTA(event) {
-        event.preventDefault();
-        
-        // Validate contact information
-        if (!this.elements.itFullName.checkValidity() || !this.elements.itPhone.checkValidity()) {
-            this.showErrorToast("Please provide your name and phone number");
-            return;
+        // Nothing got through, so hand the visitor every manual route we have
+        // and keep retrying in the background
+        if (!result.delivered) {
+            result.queued = Boolean(this.submissionQueue) && await this.queueLead(lead);
+            this.showLeadFallback(lead, { queued: result.queued });
+        } else if (result.confirmed) {
+            this.leadFallbackToast?.dismiss();
+            this.showToast(this.t('toast.leadSent'), { type: 'success' });
+        } else {
+            // WhatsApp opened, but the message only arrives once the visitor presses send
+            const dispatcher = this.getLeadDispatcher();
+            this.showToast(this.t('toast.pressSend'), {
+                actions: [this.getWhatsAppAction(dispatcher.getChannel('whatsapp').getLink(lead, dispatcher.config))]
+            });
         }
+        return result;
+    }
 
+    // Resolves false when the lead couldn't be stored, so it must not count as saved
+    async queueLead(lead) {
+        let queued = true;
         try {
-            const formData = this.getITFormData();
-            const results = this.calculateITNeeds(formData);
-            this.sendITAssessmentToWhatsApp(formData, results);
+            await this.submissionQueue.add(lead);
         } catch (error) {
-            console.error('Error sending IT assessment:', error);
-            this.showErrorToast("Failed to send. Please try again.");
+            console.error('Error queueing submission:', error);
+            queued = false;
         }
+        this.renderSubmissionStatus();
+        return queued;
     }
 
-    // =====================
-    // WEB DEVELOPMENT FUNCTIONALITY
-    // =====================
-    toggleWebsiteFields(hasWebsite) {
-        this.elements.problemsSection.classList.toggle('hidden', !hasWebsite);
-        this.elements.benefitsSection.classList.toggle('hidden', hasWebsite);
-        this.elements.websiteUrlContainer.classList.toggle('hidden', !hasWebsite);
+    async flushSubmissionQueue() {
+        if (!this.submissionQueue || this.flushingQueue || !navigator.onLine) return;
+        this.flushingQueue = true;
+
+        try {
+            const entries = await this.submissionQueue.getAll();
+
+            for (const entry of entries) {
+                entry.status = 'sending';
+                await this.submissionQueue.update(entry);
+                this.renderSubmissionStatus();
+
+                const result = await this.getLeadDispatcher()
+                    .dispatch(entry.lead, this.constants.LEAD_QUEUE_CHANNEL_ORDER);
+
+                if (result.confirmed) {
+                    await this.submissionQueue.remove(entry.id);
+                    this.recentlySent.push({ ...entry, status: 'sent' });
+                    this.trackEvent('queued_lead_sent', entry.lead.subject);
+                    this.leadFallbackToast?.dismiss();
+                    this.showToast(this.t('toast.queuedLeadSent', { title: this.getLeadTitle(entry.lead) }), { type: 'success' });
+                } else {
+                    entry.status = 'failed';
+                    entry.attempts += 1;
+                    entry.lastAttemptAt = Date.now();
+                    await this.submissionQueue.update(entry);
+                }
+            }
+        } catch (error) {
+            console.error('Error sending queued submissions:', error);
+        } finally {
+            this.flushingQueue = false;
+            this.renderSubmissionStatus();
+        }
     }
 
-    handleWebDevSubmit(event) {
-        event.preventDefault();
+    async renderSubmissionStatus() {
+        if (!this.submissionQueue) return;
+
+        let entries = [];
+        try {
+            entries = await this.submissionQueue.getAll();
+        } catch (error) {
+            console.error('Error reading queued submissions:', error);
+        }
+        entries = entries.concat(this.recentlySent);
+
+        let panel = document.getElementById('pendingSubmissions');
+        if (!entries.length) {
+            panel?.remove();
+            return;
+        }
 
-        // Honeypot validation
-        if (this.elements.honeypotField.value !== '') return;
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'pendingSubmissions';
+            panel.setAttribute('role', 'status');
+            panel.setAttribute('aria-live', 'polite');
+            panel.className = 'fixed bottom-4 left-4 z-50 bg-white border border-gray-200 rounded-lg shadow-lg p-4 w-72 text-sm';
+            document.body.appendChild(panel);
+        }
 
-        // Collect form data
-        const formData = this.getWebDevFormData();
+        const statusLabels = {
+            pending: this.t(navigator.onLine ? 'submissions.pending' : 'submissions.pendingOffline'),
+            sending: this.t('submissions.sending'),
+            failed: this.t('submissions.failed'),
+            sent: this.t('submissions.sent')
+        };
 
-        // Show thank you message
-        this.elements.step4.classList.add('hidden');
-        this.elements.thankYouMessage.classList.remove('hidden');
-        this.elements.thankYouMessage.scrollIntoView({ behavior: 'smooth' });
+        panel.innerHTML = `
+            <p class="font-heading font-semibold mb-2">${this.t('submissions.title')}</p>
+            <ul class="space-y-2">
+                ${entries.map(entry => `
+                <li>
+                    <p class="font-medium">${this.escapeHTML(this.getLeadTitle(entry.lead))}</p>
+                    <p class="text-gray-500">${statusLabels[entry.status]} · ${this.formatTime(entry.queuedAt)}</p>
+                </li>`).join('')}
+            </ul>
+        `;
 
-        // Send data to WhatsApp
-        this.sendWebDevToWhatsApp(formData);
+        // Sent items only need to be acknowledged once
+        if (this.recentlySent.length) {
+            this.recentlySent = [];
+            setTimeout(() => this.renderSubmissionStatus(), 5000);
+        }
+    }
 
-        this.trackEvent('webdev_assessment_submission', 'Web Development Assessment');
+    // Leads queued before titles existed only have the subject, which carries our rating
+    getLeadTitle(lead) {
+        return lead.title || this.t('submissions.untitled');
     }
 
-    getWebDevFormData() {
+    // Toast link for when the visitor has to open WhatsApp themselves
+    getWhatsAppAction(href) {
         return {
-            fullName: document.getElementById('fullName').value,
-            phone: document.getElementById('phone').value,
-            hasWebsite: document.querySelector('input[name="hasWebsite"]:checked').value,
-            websiteUrl: document.getElementById('websiteUrl')?.value || '',
-            projectType: document.getElementById('projectType').value,
-            primaryGoal: document.getElementById('primaryGoal').value,
-            timeline: document.getElementById('timeline').value,
-            problems: this.getSelectedProblems(),
-            benefits: this.getSelectedBenefits()
+            label: this.t('lead.openWhatsApp'),
+            href,
+            onClick: () => this.trackEvent('whatsapp_handoff', 'manual')
         };
     }
 
-    getSelectedProblems() {
-        return Array.from(document.querySelectorAll('#problemsSection input[type="checkbox"]:checked'))
-            .map(cb => cb.nextElementSibling.textContent.trim());
+    // For when a lead couldn't even be put together
+    showWhatsAppError() {
+        this.showErrorToast(this.t('toast.whatsappFailed'), {
+            actions: [this.getWhatsAppAction(`https://wa.me/${this.constants.WHATSAPP_NUMBER}`)]
+        });
     }
 
-    getSelectedBenefits() {
-        return Array.from(document.querySelectorAll('#benefitsSection input[type="checkbox"]:checked'))
-            .map(cb => cb.nextElementSibling.textContent.trim());
+    // Channel labels are English in js/lead-dispatcher.js
+    getChannelLabel(name, channel) {
+        return this.t(`lead.channels.${name}`, { defaultValue: channel.label });
     }
 
-    enableSubmit() {
-        if (this.elements.submitBtn) {
-            this.elements.submitBtn.disabled = false;
-        }
+    showLeadFallback(lead, { queued = false } = {}) {
+        const dispatcher = this.getLeadDispatcher();
+        this.leadFallbackToast?.dismiss();
+
+        const actions = this.constants.LEAD_FALLBACK_CHANNELS
+            .map(name => ({ name, channel: dispatcher.getChannel(name) }))
+            .filter(({ channel }) => channel)
+            .map(({ name, channel }) => {
+                // Links work even under popup blockers because the visitor clicks them
+                if (channel.getLink) {
+                    const href = channel.getLink(lead, dispatcher.config);
+                    return name === 'whatsapp' ? this.getWhatsAppAction(href) : { label: this.getChannelLabel(name, channel), href };
+                }
+                return {
+                    label: this.getChannelLabel(name, channel),
+                    dismiss: false,
+                    onClick: async (event, action) => {
+                        const ok = await channel.send(lead, dispatcher.config).catch(() => false);
+                        action.textContent = this.t(ok ? 'lead.copied' : 'lead.copyFailed');
+                    }
+                };
+            });
+
+        // A queued lead is retried from the queue so it isn't sent twice
+        actions.push({
+            label: this.t('toast.retry'),
+            onClick: () => queued ? this.flushSubmissionQueue() : this.dispatchLead(lead)
+        });
+
+        this.leadFallbackToast = this.showToast(this.t('lead.fallbackMessage'), {
+            type: 'warning',
+            title: this.t('lead.fallbackTitle'),
+            duration: 0,
+            actions
+        });
     }
 
     // =====================
-    // WHATSAPP INTEGRATION
+    // UTILITY METHODS
     // =====================
-    sendWebDevToWhatsApp(formData) {
-        try {
-            // Create WhatsApp message content
-            let message = `*New Web Development Inquiry*\n\n`;
-            message += `👤 *Name:* ${formData.fullName}\n`;
-            message += `📱 *Phone:* ${formData.phone}\n`;
-            message += `🌐 *Has Website:* ${formData.hasWebsite === 'yes' ? 'Yes' : 'No'}\n`;
-            
-            if (formData.hasWebsite === 'yes' && formData.websiteUrl) {
-                message += `🔗 *Website URL:* ${formData.websiteUrl}\n`;
-            }
-            
-            message += `\n*Project Details:*\n`;
-            message += `🛠️ *Project Type:* ${formData.projectType}\n`;
-            message += `🎯 *Primary Goal:* ${formData.primaryGoal}\n`;
-            message += `⏱️ *Timeline:* ${formData.timeline}\n`;
-            
-            if (formData.hasWebsite === 'yes' && formData.problems.length) {
-                message += `\n*Reported Problems:*\n`;
-                formData.problems.forEach((p, i) => message += `➡️ ${i + 1}. ${p}\n`);
-            }
-            
-            if (formData.hasWebsite === 'no' && formData.benefits.length) {
-                message += `\n*Desired Benefits:*\n`;
-                formData.benefits.forEach((b, i) => message += `✅ ${i + 1}. ${b}\n`);
-            }
-            
-            message += `\n_Generated by Digital Solutions App_`;
-            
-            this.openWhatsApp(message);
-            
-        } catch (error) {
-            console.error('Error sending to WhatsApp:', error);
-            this.showErrorToast("Couldn't open WhatsApp. Please contact us directly.");
-        }
+    // Queued or dropped by js/analytics.js depending on the visitor's consent
+    trackEvent(eventName, eventLabel, params = {}) {
+        this.analytics?.track(eventName, {
+            'event_category': 'engagement',
+            'event_label': eventLabel,
+            ...params
+        });
     }
 
-    sendITAssessmentToWhatsApp(formData, results) {
-        try {
-            const { area, buildingType, needsCabling, needsCCTV, 
-                    needsAccessControl, needsTelephony } = formData;
-            const { accessPoints, estimatedDevices, recommendedServers, recommendedWorkstations } = results;
-            
-            // Create WhatsApp message content
-            let message = `*New IT Infrastructure Assessment*\n\n`;
-            message += `👤 *Name:* ${formData.fullName}\n`;
-            message += `📱 *Phone:* ${formData.phone}\n`;
-            message += `🏢 *Building Type:* ${buildingType}\n`;
-            message += `📏 *Area:* ${area.toLocaleString()} sq. ft\n`;
-            
-            message += `\n*Assessment Results:*\n`;
-            message += `📶 *WiFi Access Points:* ${accessPoints}\n`;
-            message += `💻 *Estimated Devices:* ${estimatedDevices.toLocaleString()}\n`;
-            message += `🖥️ *Workstations:* ${recommendedWorkstations}\n`;
-            message += `🗄️ *Servers:* ${recommendedServers}\n`;
-            
-            // Additional services
-            const services = [];
-            if (needsCabling) services.push("structured cabling");
-            if (needsCCTV) services.push("CCTV");
-            if (needsAccessControl) services.push("access control");
-            if (needsTelephony) services.push("telephony");
-            
-            if (services.length) {
-                message += `\n*Additional Services:*\n`;
-                message += `🔌 ${services.join("\n🔌 ")}\n`;
-            }
-            
-            message += `\n_Generated by Digital Solutions App_`;
-            
-            this.openWhatsApp(message);
-            
-        } catch (error) {
-            console.error('Error sending IT assessment:', error);
-            this.showErrorToast("Couldn't open WhatsApp. Please contact us directly.");
-        }
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.constants.LOCALE, { maximumFractionDigits: 0, ...options })
+            .format(value);
     }
 
-    openWhatsApp(message) {
-        // Encode message for URL
-        const encodedMessage = encodeURIComponent(message);
-        
-        // Create WhatsApp link
-        const whatsappLink = `https://wa.me/${this.constants.WHATSAPP_NUMBER}?text=${encodedMessage}`;
-        
-        // Open WhatsApp in a new tab after a short delay
-        setTimeout(() => {
-            window.open(whatsappLink, '_blank');
-        }, 1000);
+    formatTime(timestamp) {
+        return new Intl.DateTimeFormat(this.i18n.getTag(), { timeStyle: 'short' }).format(timestamp);
     }
 
-    // =====================
-    // UTILITY METHODS
-    // =====================
-    trackEvent(eventName, eventLabel) {
-        if (typeof gtag === 'function') {
-            gtag('event', eventName, {
-                'event_category': 'engagement',
-                'event_label': eventLabel
-            });
+    formatDate(date) {
+        return new Intl.DateTimeFormat(this.i18n.getTag(), { dateStyle: 'long' }).format(date);
+    }
+
+    escapeHTML(value) {
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    formatCurrency(amount) {
+        return this.formatNumber(amount, { style: 'currency', currency: PRICE_CATALOG.currency });
+    }
+
+    showToast(message, options = {}) {
+        if (!this.toasts) {
+            if (options.type === 'error') alert(`Error: ${message}`);
+            return null;
         }
+        return this.toasts.show({ message, ...options });
     }
 
-    showErrorToast(message) {
-        // Simple alert for now - could be replaced with a proper toast notification
-        alert(`Error: ${message}`);
+    showErrorToast(message, options = {}) {
+        return this.showToast(message, { type: 'error', ...options });
     }
 }
-
-// Initialize application
+// Start the app, then the controller for each section this page has
 document.addEventListener('DOMContentLoaded', () => {
     const app = new DigitalSolutionsApp();
-    
+
+    const techAssessment = document.getElementById('tech-assessment');
+    if (techAssessment) new ITAssessmentPage(app, techAssessment);
+
+    const portfolio = document.getElementById('portfolio');
+    if (portfolio) new PortfolioPage(app, portfolio);
+
+    const webDevForm = document.getElementById('webDevelopmentForm');
+    if (webDevForm) new WebDevWizard(app, webDevForm);
+
     // Global callback for reCAPTCHA
     window.enableSubmit = () => {
         app.enableSubmit();
     };
-});
\ No newline at end of file
+});
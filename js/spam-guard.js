@@ -0,0 +1,144 @@
+/**
+ * Spam Guard - shared checks run before a form is allowed to send a lead
+ * Catches bots that fill hidden fields or submit faster than a person could,
+ * and stops one browser from sending too many or identical leads. Only a
+ * hash of each submission is kept, so no customer details are stored.
+ * A challenge provider (e.g. reCAPTCHA) can be plugged in by name.
+ */
+
+const SPAM_CHALLENGES = {
+    recaptcha: {
+        // Submit stays disabled until reCAPTCHA calls window.enableSubmit
+        prepare(form) {
+            form.querySelectorAll('[type="submit"]').forEach(button => button.disabled = true);
+        },
+        async verify() {
+            return typeof grecaptcha !== 'undefined' && grecaptcha.getResponse() !== '';
+        }
+    }
+};
+
+class SpamGuard {
+    /**
+     * @param {Object} [config]
+     * @param {Object} [config.minCompletionSeconds] - per form name, time from first interaction to submit
+     * @param {number} [config.maxSubmissions] - leads allowed per browser within the rate window
+     * @param {number} [config.rateWindowMinutes]
+     * @param {number} [config.duplicateWindowHours] - identical leads are refused for this long
+     * @param {string|null} [config.challenge] - name of a SPAM_CHALLENGES provider
+     * @param {Object} [config.challenges] - challenge providers by name, defaults to SPAM_CHALLENGES
+     * @param {string} [config.storageKey]
+     * @param {Function} [config.now] - current time in ms, defaults to Date.now
+     */
+    constructor(config = {}) {
+        this.config = {
+            minCompletionSeconds: {},
+            maxSubmissions: 3,
+            rateWindowMinutes: 30,
+            duplicateWindowHours: 24,
+            challenge: null,
+            storageKey: 'wiredwise.submissionLog',
+            challenges: SPAM_CHALLENGES,
+            now: () => Date.now(),
+            ...config
+        };
+        this.startedAt = new Map();
+    }
+
+    /**
+     * Start timing a form from the visitor's first interaction with it.
+     * @param {HTMLFormElement} form
+     * @param {string} name - key used for per-form settings and the log
+     */
+    watch(form, name) {
+        form.dataset.spamGuard = name;
+        const start = () => {
+            if (!this.startedAt.has(form)) this.startedAt.set(form, this.config.now());
+        };
+        form.addEventListener('focusin', start);
+        form.addEventListener('input', start);
+
+        this.getChallenge()?.prepare?.(form);
+    }
+
+    /**
+     * Resolves with { ok: true } or { ok: false, reason, message }.
+     * Bot-like submissions get no message so they learn nothing.
+     * @param {HTMLFormElement} form
+     * @param {Object} payload - the answers that make this lead unique
+     */
+    async check(form, payload) {
+        const name = form.dataset.spamGuard;
+
+        const honeypotFilled = Array.from(form.querySelectorAll('[data-honeypot]')).some(field => field.value !== '');
+        if (honeypotFilled) return { ok: false, reason: 'honeypot', message: '' };
+
+        const now = this.config.now();
+        const started = this.startedAt.get(form);
+        const minSeconds = this.config.minCompletionSeconds[name] || 0;
+        if (!started || now - started < minSeconds * 1000) {
+            return { ok: false, reason: 'too_fast', message: 'Please take a moment to check your answers, then send again.' };
+        }
+
+        const log = this.getLog();
+        const hash = this.hash(payload);
+
+        if (log.some(entry => entry.hash === hash && now - entry.at < this.config.duplicateWindowHours * 3600000)) {
+            return { ok: false, reason: 'duplicate',
+                     message: "We've already received this request. We'll be in touch soon, so there's no need to send it again." };
+        }
+
+        const recent = log.filter(entry => now - entry.at < this.config.rateWindowMinutes * 60000);
+        if (recent.length >= this.config.maxSubmissions) {
+            return { ok: false, reason: 'rate_limited',
+                     message: "You've sent several requests in a short time. Please wait a few minutes or call us directly." };
+        }
+
+        const challenge = this.getChallenge();
+        if (challenge && !(await challenge.verify(form).catch(() => false))) {
+            return { ok: false, reason: 'challenge_failed', message: 'Please complete the verification check, then send again.' };
+        }
+
+        return { ok: true };
+    }
+
+    /**
+     * Remember a sent lead for the rate limit and duplicate checks.
+     */
+    record(form, payload) {
+        const now = this.config.now();
+        const oldest = now - Math.max(this.config.duplicateWindowHours * 3600000, this.config.rateWindowMinutes * 60000);
+        const log = this.getLog().filter(entry => entry.at > oldest);
+        log.push({ form: form.dataset.spamGuard, at: now, hash: this.hash(payload) });
+
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify(log));
+        } catch (error) {
+            console.error('Error saving submission log:', error);
+        }
+    }
+
+    getLog() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    getChallenge() {
+        return this.config.challenge ? this.config.challenges[this.config.challenge] : null;
+    }
+
+    // Small non-cryptographic hash (djb2) of the normalized payload
+    hash(payload) {
+        const text = JSON.stringify(payload, (key, value) =>
+            typeof value === 'string' ? value.trim().toLowerCase().replace(/\s+/g, ' ') : value);
+
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+}
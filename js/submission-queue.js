@@ -0,0 +1,67 @@
+/**
+ * Submission Queue - keeps leads in IndexedDB until they have been delivered
+ * Leads submitted while the visitor is offline (or that no channel could
+ * deliver) are stored here and flushed through the lead dispatcher once the
+ * browser is back online, so a patchy connection never loses an assessment.
+ */
+
+class SubmissionQueue {
+    constructor(dbName = 'wiredwise', storeName = 'pendingLeads') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Store a lead; resolves with the generated entry id.
+     */
+    add(lead) {
+        return this.run('readwrite', store => store.add({
+            lead,
+            status: 'pending',
+            attempts: 0,
+            queuedAt: Date.now()
+        }));
+    }
+
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    update(entry) {
+        return this.run('readwrite', store => store.put(entry));
+    }
+
+    remove(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+}
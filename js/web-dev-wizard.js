@@ -0,0 +1,479 @@
+/**
+ * Web Development Wizard - the four-step questionnaire on the web development page
+ * Checks each step before moving on, keeps a draft of the answers between
+ * visits and sends the finished questionnaire through the app's lead delivery.
+ */
+
+class WebDevWizard {
+    /**
+     * @param {DigitalSolutionsApp} app - shared language, analytics, spam checks and lead delivery
+     * @param {HTMLFormElement} root - the questionnaire form, progress bar and thank-you panel included
+     */
+    constructor(app, root) {
+        this.app = app;
+        this.root = root;
+
+        const find = id => root.querySelector(`#${id}`);
+        this.elements = {
+            stepButtons: root.querySelectorAll('[data-step-target]'),
+            thankYouMessage: find('thankYouMessage'),
+            hasWebsiteRadios: root.querySelectorAll('input[name="hasWebsite"]'),
+            problemsSection: find('problemsSection'),
+            benefitsSection: find('benefitsSection'),
+            websiteUrlContainer: find('websiteUrlContainer'),
+            problemCards: root.querySelectorAll('.problem-card'),
+            stepIndicators: root.querySelectorAll('.step-indicator'),
+            draftPrompt: find('draftPrompt'),
+            draftSavedAt: find('draftSavedAt'),
+            resumeDraftBtn: find('resumeDraftBtn'),
+            discardDraftBtn: find('discardDraftBtn'),
+            startOverBtn: find('startOverBtn'),
+            phone: find('phone')
+        };
+
+        this.constants = {
+            DRAFT_STORAGE_KEY: 'wiredwise.webDevDraft',
+            DRAFT_MAX_AGE_DAYS: 14,
+            DRAFT_EXCLUDED_FIELDS: ['website'],
+
+            // Steps and their validation rules, checked by js/form-validation.js;
+            // messages are keys in js/locales/*.js
+            STEPS: [
+                {
+                    id: 'step1',
+                    rules: [
+                        { field: 'projectType', required: true, messageKey: 'wizard.projectType' },
+                        { field: 'primaryGoal', required: true, minLength: 10, messageKey: 'wizard.primaryGoal' },
+                        { field: 'timeline', required: true, messageKey: 'wizard.timeline' }
+                    ]
+                },
+                {
+                    id: 'step2',
+                    rules: [
+                        { field: 'hasWebsite', required: true, messageKey: 'wizard.hasWebsite' },
+                        { field: 'websiteUrl', format: 'url', when: values => values.hasWebsite === 'yes', messageKey: 'wizard.websiteUrl' }
+                    ]
+                },
+                { id: 'step3', rules: [] },
+                {
+                    id: 'step4',
+                    rules: [
+                        { field: 'fullName', required: true, messageKey: 'wizard.fullName' },
+                        { field: 'email', required: true, format: 'email', messageKey: 'wizard.email' },
+                        { field: 'phone', required: true, phone: true, messageKey: 'wizard.phone' }
+                    ]
+                }
+            ]
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.root.addEventListener('submit', (e) => this.handleSubmit(e));
+
+        this.elements.hasWebsiteRadios.forEach(radio => {
+            radio.addEventListener('change', () => this.toggleWebsiteFields(radio.value === 'yes'));
+        });
+
+        // The phone number is checked once the visitor moves on
+        const phone = this.elements.phone;
+        phone?.addEventListener('blur', () => {
+            if (phone.value.trim()) this.setFieldError(phone.name, this.app.getPhoneError(phone.value));
+        });
+
+        // Drafts load first, so opening the page at a later step can't overwrite one
+        this.setupProblemCards();
+        this.setupDrafts();
+        this.setupStepNavigation();
+        this.app.spamGuard?.watch(this.root, 'webDev');
+
+        this.app.i18n.onChange(() => {
+            if (this.pendingDraft) this.showDraftPrompt(this.pendingDraft);
+        });
+        window.addEventListener('pagehide', () => this.trackDropOff());
+    }
+
+    setupProblemCards() {
+        // Cards are labels, so the browser toggles the checkbox for us
+        this.elements.problemCards.forEach(card => {
+            const checkbox = card.querySelector('input[type="checkbox"]');
+            checkbox?.addEventListener('change', () => {
+                card.classList.toggle('selected', checkbox.checked);
+            });
+        });
+    }
+
+    syncCardSelections() {
+        this.root.querySelectorAll('.problem-card, .service-card').forEach(card => {
+            const input = card.querySelector('input[type="checkbox"], input[type="radio"]');
+            card.classList.toggle('selected', Boolean(input?.checked));
+        });
+    }
+
+    // =====================
+    // STEP NAVIGATION
+    // =====================
+    setupStepNavigation() {
+        this.elements.stepButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.goToStep(btn.dataset.stepTarget);
+            });
+        });
+
+        this.currentStep = 'step1';
+
+        // Answering a question clears its error
+        ['input', 'change'].forEach(type => {
+            this.root.addEventListener(type, (e) => {
+                this.started = true;
+                this.clearFieldError(e.target.name);
+            });
+        });
+
+        // Browser Back/Forward move between steps
+        window.addEventListener('popstate', () => {
+            const stepId = window.location.hash.slice(1);
+            if (this.getStepIndex(stepId) !== -1) {
+                this.goToStep(stepId, { updateHistory: false });
+            }
+        });
+
+        const initialStep = window.location.hash.slice(1);
+        if (this.getStepIndex(initialStep) > 0) {
+            this.goToStep(initialStep, { updateHistory: false, showErrors: false });
+        } else {
+            window.history.replaceState({ step: 'step1' }, '', window.location.href);
+            this.updateProgress();
+            this.trackStepView('step1');
+        }
+    }
+
+    showStep(stepId, { updateHistory = true } = {}) {
+        this.constants.STEPS.forEach(step => {
+            this.root.querySelector(`#${step.id}`)?.classList.toggle('hidden', step.id !== stepId);
+        });
+
+        if (updateHistory && stepId !== this.currentStep) {
+            window.history.pushState({ step: stepId }, '', `#${stepId}`);
+        }
+        if (stepId !== this.lastViewedStep) this.trackStepView(stepId);
+        this.currentStep = stepId;
+        this.updateProgress();
+        this.saveDraft();
+    }
+
+    trackStepView(stepId) {
+        this.lastViewedStep = stepId;
+        this.app.trackEvent('wizard_step_view', stepId, { step_number: this.getStepIndex(stepId) + 1 });
+    }
+
+    // Sent as the page closes, so it names the step the visitor gave up on
+    trackDropOff() {
+        if (!this.started || this.submitted) return;
+
+        this.app.trackEvent('wizard_drop_off', this.currentStep, {
+            step_number: this.getStepIndex(this.currentStep) + 1,
+            transport_type: 'beacon'
+        });
+    }
+
+    goToStep(stepId, { updateHistory = true, showErrors = true } = {}) {
+        const targetIndex = this.getStepIndex(stepId);
+        if (targetIndex === -1) return;
+
+        // Going forward requires every earlier step to be complete
+        for (let i = 0; i < targetIndex; i++) {
+            const step = this.constants.STEPS[i];
+            if (!this.validateStep(step.id, { showErrors })) {
+                this.showStep(step.id, { updateHistory });
+                if (!updateHistory) window.history.replaceState({ step: step.id }, '', `#${step.id}`);
+                return false;
+            }
+        }
+
+        this.showStep(stepId, { updateHistory });
+        return true;
+    }
+
+    getStepIndex(stepId) {
+        return this.constants.STEPS.findIndex(step => step.id === stepId);
+    }
+
+    updateProgress() {
+        const currentIndex = this.getStepIndex(this.currentStep);
+
+        this.elements.stepIndicators.forEach(indicator => {
+            const index = this.getStepIndex(indicator.dataset.step);
+            const isActive = index === currentIndex;
+
+            indicator.classList.toggle('active', isActive);
+            indicator.classList.toggle('complete', index < currentIndex);
+            if (isActive) {
+                indicator.setAttribute('aria-current', 'step');
+            } else {
+                indicator.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    // =====================
+    // VALIDATION
+    // =====================
+    getFieldValue(name) {
+        const field = this.root.elements.namedItem(name);
+        if (!field) return '';
+
+        // Radio groups come back as a RadioNodeList whose value is the checked one
+        return (field.value || '').trim();
+    }
+
+    validateStep(stepId, { showErrors = true } = {}) {
+        const step = this.constants.STEPS[this.getStepIndex(stepId)];
+        if (!step) return true;
+
+        const values = {};
+        step.rules.forEach(rule => values[rule.field] = this.getFieldValue(rule.field));
+
+        let firstInvalid = null;
+        this.app.getValidator().checkRules(step.rules, values).forEach(({ field, error }) => {
+            if (showErrors) this.setFieldError(field, this.app.formatValidationError(error));
+            if (error && !firstInvalid) firstInvalid = field;
+        });
+
+        if (firstInvalid && showErrors) {
+            const field = this.root.elements.namedItem(firstInvalid);
+            (field instanceof RadioNodeList ? field[0] : field)?.focus();
+        }
+        return !firstInvalid;
+    }
+
+    setFieldError(name, message) {
+        this.app.setFieldError(name, message, this.root);
+    }
+
+    clearFieldError(name) {
+        this.app.clearFieldError(name, this.root);
+    }
+
+    // =====================
+    // SUBMISSION
+    // =====================
+    toggleWebsiteFields(hasWebsite) {
+        this.elements.problemsSection?.classList.toggle('hidden', !hasWebsite);
+        this.elements.benefitsSection?.classList.toggle('hidden', hasWebsite);
+        this.elements.websiteUrlContainer?.classList.toggle('hidden', !hasWebsite);
+    }
+
+    async handleSubmit(event) {
+        event.preventDefault();
+
+        // Re-check every step in case one was skipped via the address bar
+        const invalidStep = this.constants.STEPS.find(step => !this.validateStep(step.id, { showErrors: false }));
+        if (invalidStep) {
+            this.goToStep(invalidStep.id);
+            this.validateStep(invalidStep.id);
+            return;
+        }
+
+        const formData = this.getFormData();
+        if (!(await this.app.passesSpamCheck(this.root, formData))) return;
+
+        // If nothing got through the visitor is offered other routes and keeps
+        // their answers, so stay on this step
+        const result = await this.sendLead(formData);
+        if (!result?.delivered && !result?.queued) return;
+
+        // Only leads that went out count towards the spam limits, so a failed send can be retried
+        this.app.spamGuard?.record(this.root, formData);
+        this.submitted = true;
+        this.clearDraft();
+
+        this.root.querySelector('#step4')?.classList.add('hidden');
+        this.elements.thankYouMessage?.classList.remove('hidden');
+        this.elements.thankYouMessage?.scrollIntoView({ behavior: 'smooth' });
+
+        this.app.trackEvent('webdev_assessment_submission', 'Web Development Assessment');
+    }
+
+    getFormData() {
+        const value = selector => this.root.querySelector(selector)?.value || '';
+
+        return {
+            fullName: value('#fullName'),
+            email: value('#email'),
+            phone: this.app.normalizePhone(value('#phone')),
+            hasWebsite: value('input[name="hasWebsite"]:checked'),
+            websiteUrl: value('#websiteUrl'),
+            projectType: value('input[name="projectType"]:checked'),
+            primaryGoal: value('#primaryGoal'),
+            timeline: value('#timeline'),
+            problems: this.getCheckedLabels(this.elements.problemsSection),
+            benefits: this.getCheckedLabels(this.elements.benefitsSection)
+        };
+    }
+
+    // Read from the English markup, since these labels go into the lead
+    getCheckedLabels(section) {
+        return Array.from(section?.querySelectorAll('input[type="checkbox"]:checked') || [])
+            .map(cb => cb.nextElementSibling ? this.app.i18n.originalText(cb.nextElementSibling).trim() : cb.value);
+    }
+
+    // Resolves with the dispatchLead() result, or undefined if the lead couldn't be built
+    async sendLead(formData) {
+        try {
+            const score = this.app.getLeadScorer().score('webDev', {
+                timeline: formData.timeline,
+                projectType: formData.projectType,
+                problemCount: formData.hasWebsite === 'yes' ? formData.problems.length : 0,
+                hasWebsite: formData.hasWebsite
+            });
+
+            return await this.app.dispatchLead(this.app.getLeadMessages().buildWebDevLead(formData, {
+                score,
+                language: this.app.i18n.locale
+            }));
+        } catch (error) {
+            console.error('Error sending to WhatsApp:', error);
+            this.app.showWhatsAppError();
+        }
+    }
+
+    // =====================
+    // DRAFTS
+    // =====================
+    setupDrafts() {
+        this.root.addEventListener('input', () => this.handleDraftChange());
+        this.root.addEventListener('change', () => this.handleDraftChange());
+
+        this.elements.resumeDraftBtn?.addEventListener('click', () => this.resumeDraft());
+        this.elements.discardDraftBtn?.addEventListener('click', () => this.startOver());
+        this.elements.startOverBtn?.addEventListener('click', () => this.startOver());
+
+        const draft = this.loadDraft();
+        if (draft) {
+            this.pendingDraft = draft;
+            this.showDraftPrompt(draft);
+        }
+    }
+
+    handleDraftChange() {
+        // Typing without answering the prompt means the visitor chose a fresh start
+        if (this.pendingDraft) {
+            this.pendingDraft = null;
+            this.elements.draftPrompt?.classList.add('hidden');
+        }
+        this.saveDraft();
+    }
+
+    showDraftPrompt(draft) {
+        if (!this.elements.draftPrompt) return;
+        if (this.elements.draftSavedAt) {
+            this.elements.draftSavedAt.textContent =
+                `${this.app.formatDate(new Date(draft.savedAt))}, ${this.app.formatTime(draft.savedAt)}`;
+        }
+        this.elements.draftPrompt.classList.remove('hidden');
+    }
+
+    loadDraft() {
+        try {
+            const draft = JSON.parse(localStorage.getItem(this.constants.DRAFT_STORAGE_KEY));
+            if (!this.hasDraftAnswers(draft?.fields)) return null;
+
+            // Stale drafts are dropped rather than offered back
+            const maxAge = this.constants.DRAFT_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+            if (Date.now() - draft.savedAt > maxAge) {
+                this.clearDraft();
+                return null;
+            }
+            return draft;
+        } catch (error) {
+            console.error('Error reading saved draft:', error);
+            return null;
+        }
+    }
+
+    saveDraft() {
+        if (this.pendingDraft) return;
+
+        const fields = {};
+        Array.from(this.root.elements).forEach(field => {
+            if (!field.name || this.constants.DRAFT_EXCLUDED_FIELDS.includes(field.name)) return;
+
+            if (field.type === 'checkbox') {
+                fields[field.name] = fields[field.name] || [];
+                if (field.checked) fields[field.name].push(field.value);
+            } else if (field.type === 'radio') {
+                if (field.checked) fields[field.name] = field.value;
+            } else if (field.value) {
+                fields[field.name] = field.value;
+            }
+        });
+
+        if (!this.hasDraftAnswers(fields)) {
+            this.clearDraft();
+            return;
+        }
+
+        try {
+            localStorage.setItem(this.constants.DRAFT_STORAGE_KEY, JSON.stringify({
+                savedAt: Date.now(),
+                step: this.currentStep,
+                fields
+            }));
+        } catch (error) {
+            console.error('Error saving draft:', error);
+        }
+    }
+
+    hasDraftAnswers(fields) {
+        return Object.values(fields || {})
+            .some(value => Array.isArray(value) ? value.length : value);
+    }
+
+    resumeDraft() {
+        const draft = this.pendingDraft;
+        this.pendingDraft = null;
+        this.elements.draftPrompt?.classList.add('hidden');
+        if (!draft) return;
+
+        Array.from(this.root.elements).forEach(field => {
+            if (!(field.name in draft.fields)) return;
+            const saved = draft.fields[field.name];
+
+            if (field.type === 'checkbox') {
+                field.checked = saved.includes(field.value);
+            } else if (field.type === 'radio') {
+                field.checked = saved === field.value;
+            } else {
+                field.value = saved;
+            }
+        });
+
+        const hasWebsite = draft.fields.hasWebsite;
+        if (hasWebsite) this.toggleWebsiteFields(hasWebsite === 'yes');
+        this.syncCardSelections();
+        this.showStep(draft.step || 'step1');
+    }
+
+    startOver() {
+        this.pendingDraft = null;
+        this.clearDraft();
+        this.elements.draftPrompt?.classList.add('hidden');
+
+        this.root.reset();
+        this.syncCardSelections();
+        this.elements.problemsSection?.classList.add('hidden');
+        this.elements.benefitsSection?.classList.add('hidden');
+        this.elements.websiteUrlContainer?.classList.add('hidden');
+        this.showStep('step1');
+    }
+
+    clearDraft() {
+        try {
+            localStorage.removeItem(this.constants.DRAFT_STORAGE_KEY);
+        } catch (error) {
+            console.error('Error clearing draft:', error);
+        }
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * Service Worker - offline support for the WiredWise site
+ * Pre-caches the app shell (pages, styles and scripts) on install and serves
+ * it when the network is unavailable. Images, portfolio data and third-party
+ * assets are cached the first time they load.
+ */
+
+// Bump on every deploy. Pages are network-first but scripts and styles come from
+// the cache first, so without a bump new pages would run against stale scripts.
+const CACHE_VERSION = 13;
+const CACHE_NAME = `wiredwise-v${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    '/',
+    '/index.html',
+    '/web development/webdevelopment.html',
+    '/legal/privacypolicy.html',
+    '/legal/termsofservice.html',
+    '/css/style.css',
+    '/js/script.js',
+    '/js/price-catalog.js',
+    '/js/assessment-rules.js',
+    '/js/it-calculator.js',
+    '/js/i18n.js',
+    '/js/locales/en.js',
+    '/js/locales/sw.js',
+    '/js/notifications.js',
+    '/js/phone.js',
+    '/js/form-validation.js',
+    '/js/lead-scoring.js',
+    '/js/lead-messages.js',
+    '/js/lead-dispatcher.js',
+    '/js/submission-queue.js',
+    '/js/spam-guard.js',
+    '/js/analytics.js',
+    '/js/portfolio-filter.js',
+    '/js/portfolio-page.js',
+    '/js/it-assessment-page.js',
+    '/js/web-dev-wizard.js'
+].map(encodeURI);
+
+// Third-party assets the pages need to render (Tailwind, fonts, icons). Only
+// CORS responses can be checked and kept; opaque ones are left to the network,
+// which is why the Tailwind <script> tags carry crossorigin="anonymous".
+const RUNTIME_CACHE_DESTINATIONS = ['script', 'style', 'font'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    // Form posts and other writes always go to the network
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    const sameOrigin = new URL(request.url).origin === self.location.origin;
+    if (sameOrigin || RUNTIME_CACHE_DESTINATIONS.includes(request.destination)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        await storeResponse(cache, request, response);
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true })) 
+            || (await cache.match('/index.html'));
+    }
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+
+    const update = fetch(request)
+        .then(async response => {
+            await storeResponse(cache, request, response);
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || update;
+}
+
+// Only complete, successful responses are kept; partial (206) and opaque ones
+// can't be trusted to replay. A full or unavailable cache isn't worth failing for.
+async function storeResponse(cache, request, response) {
+    if (!response.ok || response.status !== 200) return;
+
+    try {
+        await cache.put(request, response.clone());
+    } catch (error) {
+        console.error('Error caching response:', error);
+    }
+}
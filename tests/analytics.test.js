@@ -0,0 +1,215 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadPage, asVisitor, plain, settle } = require('./helpers');
+
+const use = loadScripts(['js/analytics.js']);
+const Analytics = use('Analytics');
+const MemoryAnalyticsProvider = use('MemoryAnalyticsProvider');
+const { localStorage } = use.window;
+
+const names = provider => plain(provider.events.map(event => event.name));
+
+describe('Analytics', () => {
+    beforeEach(() => localStorage.clear());
+
+    it('holds events back until the visitor has chosen', () => {
+        const provider = new MemoryAnalyticsProvider();
+        const analytics = new Analytics({ provider });
+
+        analytics.track('wizard_step_view', { event_label: 'step1' });
+        analytics.track('portfolio_filter', { event_label: 'cctv' });
+
+        assert.equal(analytics.getConsent(), null);
+        assert.deepEqual(plain(provider.events), []);
+    });
+
+    it('sends the held events, in order, once the visitor opts in', () => {
+        const provider = new MemoryAnalyticsProvider();
+        const analytics = new Analytics({ provider });
+        analytics.track('wizard_step_view', { event_label: 'step1' });
+        analytics.track('portfolio_filter', { event_label: 'cctv' });
+
+        analytics.setConsent(true);
+        analytics.track('it_cta_click');
+
+        assert.deepEqual(plain(provider.events), [
+            { name: 'wizard_step_view', params: { event_label: 'step1' } },
+            { name: 'portfolio_filter', params: { event_label: 'cctv' } },
+            { name: 'it_cta_click', params: {} }
+        ]);
+        assert.equal(analytics.getConsent(), 'granted');
+    });
+
+    it('throws the held events away when the visitor declines', () => {
+        const provider = new MemoryAnalyticsProvider();
+        let revoked = false;
+        provider.revoke = () => revoked = true;
+        const analytics = new Analytics({ provider });
+        analytics.track('wizard_step_view');
+
+        analytics.setConsent(false);
+        analytics.track('it_cta_click');
+        analytics.setConsent(true);
+
+        assert.deepEqual(plain(provider.events), []);
+        assert.ok(revoked);
+    });
+
+    it('keeps only the latest events while waiting', () => {
+        const provider = new MemoryAnalyticsProvider();
+        const analytics = new Analytics({ provider, queueLimit: 2 });
+        ['first', 'second', 'third'].forEach(name => analytics.track(name));
+
+        analytics.setConsent(true);
+        assert.deepEqual(names(provider), ['second', 'third']);
+    });
+
+    it('remembers the choice, and asks again when the consent version changes', () => {
+        let loaded = 0;
+        const provider = new MemoryAnalyticsProvider();
+        provider.load = () => loaded += 1;
+        new Analytics({ provider, consentVersion: 1 }).setConsent(true);
+
+        const returning = new Analytics({ provider, consentVersion: 1 });
+        assert.equal(returning.getConsent(), 'granted');
+        assert.equal(loaded, 2);
+
+        const reworded = new Analytics({ provider, consentVersion: 2 });
+        assert.equal(reworded.getConsent(), null);
+        reworded.track('wizard_step_view');
+        assert.equal(provider.events.length, 0);
+    });
+});
+
+describe('funnel tracking', () => {
+    // Starts the site with the memory provider standing in for Google's tag
+    function tracked(provider, { consent = 'granted', blockPopups = false } = {}) {
+        return {
+            beforeParse(window) {
+                if (consent) {
+                    window.localStorage.setItem('wiredwise.consent', JSON.stringify({ version: 1, analytics: consent }));
+                }
+                if (blockPopups) window.open = () => null;
+            },
+            beforeStart(window) {
+                window.eval('ANALYTICS_PROVIDERS').gtag = provider;
+            }
+        };
+    }
+
+    const events = (provider, name) => plain(provider.events.filter(event => event.name === name));
+
+    function answerStepOne(document) {
+        document.querySelector('[name="projectType"][value="ecommerce"]').click();
+        document.getElementById('primaryGoal').value = 'Sell our furniture online';
+        document.getElementById('timeline').value = 'asap';
+    }
+
+    it('counts wizard step views and where visitors drop off', async () => {
+        const provider = new MemoryAnalyticsProvider();
+        const { window } = await loadPage('web development/webdevelopment.html', tracked(provider));
+        const { document } = window;
+
+        answerStepOne(document);
+        document.querySelector('#step1 [data-step-target="step2"]').click();
+        window.dispatchEvent(new window.Event('pagehide'));
+
+        assert.deepEqual(events(provider, 'wizard_step_view').map(event => [event.params.event_label, event.params.step_number]),
+            [['step1', 1], ['step2', 2]]);
+        const [dropOff] = events(provider, 'wizard_drop_off');
+        assert.equal(dropOff.params.event_label, 'step2');
+        assert.equal(dropOff.params.step_number, 2);
+        window.close();
+    });
+
+    it('counts a finished wizard and the WhatsApp hand-off, with no drop-off', async () => {
+        const provider = new MemoryAnalyticsProvider();
+        const { window } = await loadPage('web development/webdevelopment.html', tracked(provider));
+        const { document } = window;
+        const form = document.getElementById('webDevelopmentForm');
+
+        answerStepOne(document);
+        document.querySelector('[name="hasWebsite"][value="no"]').click();
+        document.getElementById('fullName').value = 'Ann Wanjiru';
+        document.getElementById('email').value = 'ann@example.com';
+        document.getElementById('phone').value = '0712345678';
+        asVisitor(window, form, () => form.dispatchEvent(new window.Event('submit', { cancelable: true })));
+        await settle(50);
+        window.dispatchEvent(new window.Event('pagehide'));
+
+        assert.equal(events(provider, 'webdev_assessment_submission').length, 1);
+        assert.deepEqual(events(provider, 'whatsapp_handoff').map(event => event.params.event_label), ['opened']);
+        assert.deepEqual(events(provider, 'lead_channel_success').map(event => event.params.event_label), ['whatsapp']);
+        assert.deepEqual(events(provider, 'wizard_drop_off'), []);
+        window.close();
+    });
+
+    it('counts a blocked WhatsApp hand-off', async () => {
+        const provider = new MemoryAnalyticsProvider();
+        const { window } = await loadPage('index.html', tracked(provider, { blockPopups: true }));
+        const { document } = window;
+        const form = document.getElementById('connectivityForm');
+
+        document.querySelector('#zoneList .zone-area').value = '200';
+        document.getElementById('itFullName').value = 'Brian Otieno';
+        document.getElementById('itPhone').value = '0712345678';
+        form.requestSubmit();
+        asVisitor(window, form, () => document.getElementById('ctaButton').click());
+        await settle(50);
+
+        assert.equal(events(provider, 'it_assessment_submission').length, 1);
+        assert.equal(events(provider, 'it_cta_click').length, 1);
+        assert.deepEqual(events(provider, 'whatsapp_handoff').map(event => event.params.event_label), ['blocked']);
+        window.close();
+    });
+
+    it('counts portfolio filters, searches and sorting', async () => {
+        const provider = new MemoryAnalyticsProvider();
+        const { window } = await loadPage('index.html', tracked(provider));
+        const { document } = window;
+        await settle();
+
+        document.querySelector('.filter-btn[data-filter="cctv"]').click();
+        document.querySelector('.filter-btn[data-filter="wifi"]').click();
+        const search = document.getElementById('portfolioSearch');
+        search.value = 'hotel';
+        search.dispatchEvent(new window.Event('change'));
+        const sort = document.getElementById('portfolioSort');
+        sort.value = 'title';
+        sort.dispatchEvent(new window.Event('change'));
+
+        assert.deepEqual(events(provider, 'portfolio_filter').map(event => event.params.active_tags), ['cctv', 'cctv,wifi']);
+        assert.deepEqual(events(provider, 'portfolio_search').map(event => event.params.event_label), ['hotel']);
+        assert.deepEqual(events(provider, 'portfolio_sort').map(event => event.params.event_label), ['title']);
+        window.close();
+    });
+
+    it('sends what happened before the banner was answered once the visitor accepts', async () => {
+        const provider = new MemoryAnalyticsProvider();
+        const { window } = await loadPage('web development/webdevelopment.html', tracked(provider, { consent: null }));
+        const { document } = window;
+
+        answerStepOne(document);
+        document.querySelector('#step1 [data-step-target="step2"]').click();
+        assert.deepEqual(plain(provider.events), []);
+
+        document.querySelector('#consentBanner [data-consent="granted"]').click();
+        assert.deepEqual(events(provider, 'wizard_step_view').map(event => event.params.event_label), ['step1', 'step2']);
+        assert.equal(document.getElementById('consentBanner'), null);
+        window.close();
+    });
+
+    it('sends nothing once the visitor declines', async () => {
+        const provider = new MemoryAnalyticsProvider();
+        const { window } = await loadPage('web development/webdevelopment.html', tracked(provider, { consent: null }));
+        const { document } = window;
+
+        document.querySelector('#consentBanner [data-consent="denied"]').click();
+        answerStepOne(document);
+        document.querySelector('#step1 [data-step-target="step2"]').click();
+        window.dispatchEvent(new window.Event('pagehide'));
+
+        assert.deepEqual(plain(provider.events), []);
+        window.close();
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers');
+
+const use = loadScripts(['js/phone.js', 'js/form-validation.js']);
+const FormValidator = use('FormValidator');
+
+const CONTACT_RULES = [
+    { field: 'fullName', required: true, messageKey: 'wizard.fullName' },
+    { field: 'email', required: true, format: 'email', messageKey: 'wizard.email' },
+    { field: 'phone', required: true, phone: true, messageKey: 'wizard.phone' }
+];
+
+describe('FormValidator.checkRule()', () => {
+    const validator = new FormValidator();
+
+    it('flags missing required answers with the rule\'s message key', () => {
+        assert.deepEqual(plain(validator.checkRule(CONTACT_RULES[0], { fullName: '' })), { key: 'wizard.fullName' });
+        assert.equal(validator.checkRule(CONTACT_RULES[0], { fullName: 'Ann' }), null);
+    });
+
+    it('skips optional fields left empty', () => {
+        const rule = { field: 'websiteUrl', format: 'url', messageKey: 'wizard.websiteUrl' };
+
+        assert.equal(validator.checkRule(rule, { websiteUrl: '' }), null);
+        assert.equal(validator.checkRule(rule, { websiteUrl: 'not a url' }).key, 'wizard.websiteUrl');
+        assert.equal(validator.checkRule(rule, { websiteUrl: 'https://example.com' }), null);
+    });
+
+    it('checks the minimum length', () => {
+        const rule = { field: 'primaryGoal', required: true, minLength: 10, messageKey: 'wizard.primaryGoal' };
+
+        assert.equal(validator.checkRule(rule, { primaryGoal: 'Sales' }).key, 'wizard.primaryGoal');
+        assert.equal(validator.checkRule(rule, { primaryGoal: 'More online sales' }), null);
+    });
+
+    it('checks email addresses the way the browser does', () => {
+        assert.equal(validator.checkRule(CONTACT_RULES[1], { email: 'ann@example' }), null);
+        assert.equal(validator.checkRule(CONTACT_RULES[1], { email: 'ann.example.com' }).key, 'wizard.email');
+        assert.equal(validator.checkRule(CONTACT_RULES[1], { email: 'ann@@example.com' }).key, 'wizard.email');
+    });
+
+    it('only applies a rule when its condition holds', () => {
+        const rule = { field: 'websiteUrl', format: 'url', when: values => values.hasWebsite === 'yes',
+                       messageKey: 'wizard.websiteUrl' };
+
+        assert.equal(validator.checkRule(rule, { hasWebsite: 'no', websiteUrl: 'nope' }), null);
+        assert.equal(validator.checkRule(rule, { hasWebsite: 'yes', websiteUrl: 'nope' }).key, 'wizard.websiteUrl');
+    });
+
+    it('uses the formats it is given', () => {
+        const strict = new FormValidator({ formats: { email: value => value.endsWith('.ke') } });
+
+        assert.equal(strict.checkRule(CONTACT_RULES[1], { email: 'ann@example.com' }).key, 'wizard.email');
+        assert.equal(strict.checkRule(CONTACT_RULES[1], { email: 'ann@example.co.ke' }), null);
+    });
+});
+
+describe('FormValidator.checkRules()', () => {
+    it('returns one entry per rule, in order', () => {
+        const results = new FormValidator().checkRules(CONTACT_RULES,
+            { fullName: 'Ann', email: 'bad', phone: '0712345678' });
+
+        assert.deepEqual(plain(results), [
+            { field: 'fullName', error: null },
+            { field: 'email', error: { key: 'wizard.email' } },
+            { field: 'phone', error: null }
+        ]);
+    });
+});
+
+describe('FormValidator.checkPhone()', () => {
+    const validator = new FormValidator();
+
+    it('accepts Kenyan numbers with or without the country code', () => {
+        assert.equal(validator.checkPhone('0712 345 678'), null);
+        assert.equal(validator.checkPhone('+254 712 345 678'), null);
+    });
+
+    it('names a message key for each kind of mistake, with the parser\'s wording as a fallback', () => {
+        const error = validator.checkPhone('0712');
+
+        assert.equal(error.key, 'phone.errors.national');
+        assert.equal(error.params.country, 'KE');
+        assert.match(error.message, /Kenya/);
+        assert.equal(validator.checkPhone('call me').key, 'phone.errors.characters');
+    });
+});
+
+describe('FormValidator.checkArea()', () => {
+    const validator = new FormValidator();
+    const limits = { min: 100, max: 1000000 };
+
+    it('keeps areas within the limits', () => {
+        assert.equal(validator.checkArea(2000, limits), null);
+        assert.deepEqual(plain(validator.checkArea(50, limits)), { key: 'area.tooSmall', params: { min: 100 } });
+        assert.deepEqual(plain(validator.checkArea(NaN, limits)), { key: 'area.tooSmall', params: { min: 100 } });
+        assert.deepEqual(plain(validator.checkArea(2000000, limits)), { key: 'area.tooLarge', params: { max: 1000000 } });
+    });
+});
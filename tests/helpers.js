@@ -0,0 +1,130 @@
+/**
+ * Test helpers - run the site's browser scripts under jsdom
+ * The scripts are plain globals with no build step, so tests load them the
+ * way the pages do: in order, into one window.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { TextEncoder, TextDecoder } = require('util');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const BASE_URL = 'https://wiredwise.test/';
+
+function readFile(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+/**
+ * Run scripts in an empty page, sharing globals as <script> tags do.
+ * @param {string[]} files - paths from the repo root, in load order
+ * @returns {Function} reads a global by name, e.g. use('ITCalculator')
+ */
+function loadScripts(files) {
+    const dom = new JSDOM('<!DOCTYPE html>', { url: BASE_URL, runScripts: 'outside-only' });
+    const context = dom.getInternalVMContext();
+    files.forEach(file => new vm.Script(readFile(file), { filename: file }).runInContext(context));
+
+    const use = name => new vm.Script(name).runInContext(context);
+    use.window = dom.window;
+    return use;
+}
+
+/**
+ * Open a page with its local scripts inlined and wait until it has loaded.
+ * CDN scripts are dropped and the browser APIs jsdom lacks are stubbed:
+ * WhatsApp links land in window.opened and online leads in window.posted,
+ * while requests for the site's own files are answered from the repo.
+ * @param {string} page - path from the repo root
+ * @param {Object} [options]
+ * @param {string} [options.html] - markup to load instead of the page's own
+ * @param {string} [options.hash] - fragment to open the page at, e.g. '#step2'
+ * @param {Function} [options.beforeParse] - extra setup, given the window
+ * @param {Function} [options.beforeStart] - runs once the scripts have loaded, before the site starts up
+ * @returns {Promise<{ window: Window, errors: Error[] }>} errors are uncaught script errors
+ */
+function loadPage(page, { html = readFile(page), hash = '', beforeParse, beforeStart } = {}) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+
+    const inlined = html
+        .replace(/<script src="https?:[^"]*"[^>]*><\/script>/g, '')
+        .replace(/<script src="([^"]+)"><\/script>/g, (tag, src) =>
+            `<script>${readFile(src.replace(/^\//, '')).replace(/<\/script>/g, '<\\/script>')}</script>`);
+
+    const { window } = new JSDOM(inlined, {
+        url: BASE_URL + encodeURI(page) + hash,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.tailwind = {};
+            window.opened = [];
+            window.posted = [];
+            window.open = url => {
+                window.opened.push(url);
+                return {};
+            };
+            window.fetch = async (url, { method = 'GET', body } = {}) => {
+                const target = new URL(url, window.location.href);
+                if (method === 'GET' && target.origin === window.location.origin) return serveFile(window, target);
+
+                window.posted.push({ url, body: JSON.parse(body || '{}') });
+                return { ok: true, status: 200, json: async () => ({}) };
+            };
+            window.TextEncoder = TextEncoder;
+            window.TextDecoder = TextDecoder;
+            window.print = () => {};
+            window.HTMLElement.prototype.scrollIntoView = () => {};
+            if (beforeParse) beforeParse(window);
+            // Added before the scripts add theirs, so it runs first
+            if (beforeStart) window.document.addEventListener('DOMContentLoaded', () => beforeStart(window));
+        }
+    });
+
+    return new Promise(resolve => {
+        window.addEventListener('load', () => resolve({ window, errors }));
+    });
+}
+
+// A fetch response for one of the site's files, or a 404
+function serveFile(window, url) {
+    const file = decodeURI(url.pathname).replace(/^\//, '');
+    if (!fs.existsSync(path.join(ROOT, file))) {
+        return { ok: false, status: 404, json: async () => { throw new window.SyntaxError('Not found'); } };
+    }
+
+    const text = readFile(file);
+    return { ok: true, status: 200, text: async () => text, json: async () => window.JSON.parse(text) };
+}
+
+// Copies a value out of the page's realm so deepEqual compares it by content
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Act on a form the way a person does: start on it, then a minute later run
+ * act(), e.g. a submit. The minute only passes while act() runs, which is when
+ * the spam guard reads the clock; js/spam-guard.js's tests use its clock option.
+ */
+function asVisitor(window, form, act) {
+    form.dispatchEvent(new window.FocusEvent('focusin', { bubbles: true }));
+    const now = window.Date.now;
+    window.Date.now = () => now() + 60000;
+    try {
+        act();
+    } finally {
+        window.Date.now = now;
+    }
+}
+
+// Lets pending promise callbacks and timers run
+function settle(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { loadScripts, loadPage, asVisitor, plain, settle };
@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('./helpers');
+
+const use = loadScripts(['js/i18n.js', 'js/locales/en.js', 'js/locales/sw.js']);
+const Translator = use('Translator');
+const messages = use('I18N_MESSAGES');
+
+const PAGES = ['index.html', 'web development/webdevelopment.html'];
+const PAGE_SECTIONS = ['common', 'home', 'webdev'];
+
+// Every key the pages tag, from data-i18n and the attribute variants
+const pageKeys = new Set(PAGES.flatMap(page =>
+    Array.from(fs.readFileSync(path.join(__dirname, '..', page), 'utf8').matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g),
+        match => match[1])));
+
+function leafKeys(node, prefix) {
+    return Object.entries(node).flatMap(([name, value]) =>
+        typeof value === 'string' ? [`${prefix}.${name}`] : leafKeys(value, `${prefix}.${name}`));
+}
+
+describe('page translations', () => {
+    it('names page text by meaning rather than by its English wording', () => {
+        pageKeys.forEach(key => assert.match(key, /^[a-z]+(\.[a-z][a-zA-Z0-9]*)+$/, key));
+    });
+
+    it('has a Swahili message for every tagged element', () => {
+        const translator = new Translator();
+        const missing = Array.from(pageKeys).filter(key => !translator.has(key, 'sw'));
+        assert.deepEqual(missing, []);
+    });
+
+    it('keeps no Swahili page text that the pages no longer use', () => {
+        const unused = PAGE_SECTIONS.flatMap(section => leafKeys(messages.sw[section], section))
+            .filter(key => !pageKeys.has(key));
+        assert.deepEqual(unused, []);
+    });
+});
@@ -0,0 +1,183 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, asVisitor, settle } = require('./helpers');
+
+const PAGE = 'index.html';
+
+const isVisible = (document, id) => !document.getElementById(id).classList.contains('hidden');
+
+// One 200 m² office with cabling, and the contact details a lead needs
+function fillAssessment(document) {
+    const zone = document.querySelector('#zoneList .zone');
+    zone.querySelector('[name="zoneName"]').value = 'Office';
+    zone.querySelector('[name="zoneArea"]').value = '200';
+    zone.querySelector('[name="zoneBuildingType"]').value = 'walled-office';
+    zone.querySelector('[name="zoneUsage"]').value = 'business';
+    document.querySelector('input[name="structuredCabling"]').click();
+    document.getElementById('cablingExtraDrops').value = '4';
+    document.getElementById('itFullName').value = 'Brian Otieno';
+    document.getElementById('itPhone').value = '0712 345 678';
+}
+
+describe('IT assessment', () => {
+    it('shows the recommendation and quote for the site', async () => {
+        const { window, errors } = await loadPage(PAGE);
+        const { document } = window;
+        assert.deepEqual(errors, []);
+
+        fillAssessment(document);
+        document.getElementById('connectivityForm').requestSubmit();
+
+        assert.deepEqual(errors, []);
+        assert.ok(isVisible(document, 'estimateResult'));
+        assert.match(document.getElementById('resultText').textContent, /200 m²/);
+        assert.notEqual(document.getElementById('deviceCount').textContent, '0');
+        assert.match(document.getElementById('additionalServicesText').textContent, /Structured Cabling/i);
+        assert.match(document.getElementById('quoteBreakdown').textContent, /Ksh\s[\d,]+/);
+        window.close();
+    });
+
+    it('switches units back and forth without the typed sizes drifting', async () => {
+        const { window } = await loadPage(PAGE);
+        const { document } = window;
+        const area = document.querySelector('#zoneList .zone-area');
+        const perimeter = document.getElementById('cctvPerimeter');
+        const useUnit = unit => document.querySelector(`input[name="areaUnit"][value="${unit}"]`).click();
+
+        useUnit('sqft');
+        area.value = '1000';
+        perimeter.value = '250';
+        for (let i = 0; i < 3; i++) {
+            useUnit('sqm');
+            assert.equal(area.value, '92.9');
+            assert.equal(perimeter.value, '76.2');
+            useUnit('sqft');
+            assert.equal(area.value, '1000');
+            assert.equal(perimeter.value, '250');
+        }
+
+        // A size typed after switching is converted from what was typed
+        useUnit('sqm');
+        area.value = '100';
+        useUnit('sqft');
+        assert.equal(area.value, '1076.4');
+        window.close();
+    });
+
+    it('sends the assessment as a lead from the results', async () => {
+        const { window } = await loadPage(PAGE);
+        const { document } = window;
+        const form = document.getElementById('connectivityForm');
+
+        fillAssessment(document);
+        form.requestSubmit();
+        asVisitor(window, form, () => document.getElementById('ctaButton').click());
+        await settle(50);
+
+        const [link] = window.opened;
+        assert.match(link, /^https:\/\/wa\.me\/\d+\?text=/);
+        const message = decodeURIComponent(link.split('?text=')[1]);
+        assert.match(message, /\*New IT Infrastructure Assessment\*/);
+        assert.match(message, /👤 \*Name:\* Brian Otieno/);
+        assert.match(message, /📱 \*Phone:\* \+254712345678/);
+        assert.match(message, /📏 \*Area:\* 200 m²/);
+        assert.match(message, /🔌 \*Structured cabling:\* \d+ network points/);
+        window.close();
+    });
+
+    it('sends no lead or proposal once an area is cleared after calculating', async () => {
+        const { window } = await loadPage(PAGE);
+        const { document } = window;
+        const form = document.getElementById('connectivityForm');
+        const area = document.querySelector('#zoneList .zone-area');
+
+        fillAssessment(document);
+        form.requestSubmit();
+        area.value = '';
+        asVisitor(window, form, () => document.getElementById('ctaButton').click());
+        document.getElementById('proposalButton').click();
+        await settle(50);
+
+        assert.deepEqual(window.opened, []);
+        assert.equal(document.getElementById('proposalDocument').innerHTML, '');
+        assert.ok(!document.body.classList.contains('printing-proposal'));
+        assert.ok(!area.checkValidity());
+        window.close();
+    });
+
+    it('names each zone with the legend screen readers announce', async () => {
+        const { window } = await loadPage(PAGE);
+        const zone = window.document.querySelector('#zoneList .zone');
+
+        assert.equal(zone.firstElementChild.tagName, 'LEGEND');
+        assert.equal(zone.firstElementChild.textContent, 'Zone 1');
+        window.close();
+    });
+
+    it('saves two scenarios and compares them side by side', async () => {
+        const { window, errors } = await loadPage(PAGE);
+        const { document } = window;
+        const form = document.getElementById('connectivityForm');
+        const saveAs = async name => {
+            form.requestSubmit();
+            document.getElementById('scenarioName').value = name;
+            document.getElementById('saveScenarioButton').click();
+            await settle(5); // scenarios are keyed by the time they were saved
+        };
+
+        fillAssessment(document);
+        await saveAs('Office only');
+        assert.ok(isVisible(document, 'scenarioComparison'));
+        assert.ok(!isVisible(document, 'comparisonControls'));
+        assert.equal(document.getElementById('comparisonTable').innerHTML, '');
+
+        document.querySelector('#zoneList .zone-area').value = '400';
+        await saveAs('Bigger office');
+
+        assert.deepEqual(errors, []);
+        assert.equal(JSON.parse(window.localStorage.getItem('wiredwise.itScenarios')).length, 2);
+        assert.ok(isVisible(document, 'comparisonControls'));
+        assert.equal(document.getElementById('scenarioName').value, '');
+
+        const table = document.querySelector('#comparisonTable table');
+        const headings = Array.from(table.querySelectorAll('thead th'), th => th.textContent.trim());
+        assert.deepEqual(headings, ['Item', 'Office only', 'Bigger office']);
+
+        const row = label => Array.from(table.querySelectorAll('tbody tr'))
+            .find(tr => tr.querySelector('th').textContent === label);
+        const cells = label => Array.from(row(label).querySelectorAll('td'), td => td.textContent);
+        assert.deepEqual(cells('Total area'), ['200 m²', '400 m²']);
+        assert.ok(row('Total area').classList.contains('font-semibold'));
+        assert.deepEqual(cells('Zones'), ['1', '1']);
+        assert.ok(!row('Zones').classList.contains('font-semibold'));
+        window.close();
+    });
+
+    it('reopens the same results from the shared link, without the contact details', async () => {
+        const first = await loadPage(PAGE);
+        fillAssessment(first.window.document);
+        first.window.document.getElementById('connectivityForm').requestSubmit();
+        const { hash } = first.window.location;
+        const results = first.window.document.getElementById('resultText').textContent;
+        const quote = first.window.document.getElementById('quoteBreakdown').textContent;
+        first.window.close();
+        assert.match(hash, /^#assessment=[\w-]+$/);
+
+        const { window, errors } = await loadPage(PAGE, { hash });
+        const { document } = window;
+        const zone = document.querySelector('#zoneList .zone');
+
+        assert.deepEqual(errors, []);
+        assert.ok(isVisible(document, 'estimateResult'));
+        assert.equal(document.getElementById('resultText').textContent, results);
+        assert.equal(document.getElementById('quoteBreakdown').textContent, quote);
+        assert.equal(zone.querySelector('[name="zoneName"]').value, 'Office');
+        assert.equal(zone.querySelector('[name="zoneArea"]').value, '200');
+        assert.equal(zone.querySelector('[name="zoneBuildingType"]').value, 'walled-office');
+        assert.ok(document.querySelector('input[name="structuredCabling"]').checked);
+        assert.equal(document.getElementById('cablingExtraDrops').value, '4');
+        assert.equal(document.getElementById('itFullName').value, '');
+        assert.equal(document.getElementById('itPhone').value, '');
+        window.close();
+    });
+});
@@ -0,0 +1,140 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers');
+
+const use = loadScripts(['js/price-catalog.js', 'js/assessment-rules.js', 'js/it-calculator.js']);
+const ITCalculator = use('ITCalculator');
+
+const NO_SERVICES = {
+    needsCabling: false,
+    needsCCTV: false,
+    needsAccessControl: false,
+    needsTelephony: false,
+    cctv: { perimeter: 0, entryPoints: 0, retentionDays: 14 },
+    accessControl: { doors: 0, exitReaders: false },
+    telephony: { staff: 0 },
+    cabling: { extraDrops: 0 }
+};
+
+const zone = (area, floor = 0, buildingTypeId = 'house', usageProfileId = 'basic') =>
+    ({ area, floor, buildingTypeId, usageProfileId });
+
+// Two floors with every optional service, used by several tests below
+const FULL_SITE = {
+    ...NO_SERVICES,
+    needsCabling: true,
+    needsCCTV: true,
+    needsAccessControl: true,
+    needsTelephony: true,
+    zones: [zone(3000, 0, 'house', 'basic'), zone(5000, 1, 'apartment', 'streaming')],
+    cctv: { perimeter: 400, entryPoints: 3, retentionDays: 30 },
+    accessControl: { doors: 4, exitReaders: true },
+    cabling: { extraDrops: 5 }
+};
+
+describe('ITCalculator.calculateITNeeds()', () => {
+    const calculator = new ITCalculator();
+
+    it('sizes a single zone', () => {
+        const results = calculator.calculateITNeeds({ ...NO_SERVICES, zones: [zone(2000)] });
+
+        assert.equal(results.area, 2000);
+        assert.equal(results.floors, 1);
+        assert.equal(results.accessPoints, 2);
+        assert.equal(results.estimatedDevices, 40);
+        assert.equal(results.recommendedWorkstations, 10);
+        assert.equal(results.recommendedServers, 1);
+        assert.equal(results.drops, 12);
+        assert.deepEqual(plain(results.services),
+            { cctv: null, accessControl: null, telephony: null, cabling: null });
+    });
+
+    it('never recommends less than one of anything', () => {
+        const [sized] = calculator.calculateITNeeds({ ...NO_SERVICES, zones: [zone(10)] }).zones;
+
+        assert.equal(sized.accessPoints, 1);
+        assert.equal(sized.estimatedDevices, 1);
+        assert.equal(sized.recommendedWorkstations, 1);
+    });
+
+    it('scales with building type and usage', () => {
+        const basic = calculator.calculateZoneNeeds(zone(3000, 0, 'house', 'basic'));
+        const busy = calculator.calculateZoneNeeds(zone(3000, 0, 'walled-office', 'business'));
+
+        assert.ok(busy.accessPoints > basic.accessPoints);
+        assert.ok(busy.estimatedDevices > basic.estimatedDevices);
+        assert.equal(busy.recommendedWorkstations, basic.recommendedWorkstations);
+    });
+
+    it('sizes each zone on its own and shares servers across the site', () => {
+        const results = calculator.calculateITNeeds(FULL_SITE);
+
+        assert.deepEqual(plain(results.zones.map(sized => sized.accessPoints)), [2, 6]);
+        assert.equal(results.accessPoints, 8);
+        assert.equal(results.estimatedDevices, 190);
+        assert.equal(results.recommendedWorkstations, 40);
+        assert.equal(results.floors, 2);
+        // 8,000 sq ft in total, not one server per zone
+        assert.equal(results.recommendedServers, 2);
+    });
+
+    it('sizes the optional services', () => {
+        const { cctv, accessControl, telephony, cabling } = calculator.calculateITNeeds(FULL_SITE).services;
+
+        assert.deepEqual(plain(cctv), { cameras: 7, nvrs: 1, storageTB: 5, retentionDays: 30 });
+        assert.deepEqual(plain(accessControl), { doors: 4, controllers: 2, readers: 8 });
+        // No staff count given, so one user per workstation
+        assert.deepEqual(plain(telephony), { users: 40, extensions: 48, pbxSize: 64, trunkLines: 10 });
+        // Workstations, access points, cameras and the extra drops
+        assert.equal(cabling.drops, 48 + 7 + 5);
+        assert.equal(cabling.cableMetres, 1800);
+        assert.equal(cabling.racks, 2);
+        assert.equal(cabling.rackMount, 'wall');
+    });
+
+    it('moves to floor-standing racks once a wall rack is too small', () => {
+        const { cabling } = calculator.calculateITNeeds({
+            ...NO_SERVICES,
+            needsCabling: true,
+            zones: [zone(60000, 0, 'warehouse', 'business')]
+        }).services;
+
+        assert.equal(cabling.rackMount, 'floor');
+        assert.equal(cabling.rackHeight, 42);
+    });
+});
+
+describe('ITCalculator.buildQuote()', () => {
+    const calculator = new ITCalculator();
+
+    it('prices the network for a site with no extra services', () => {
+        const quote = calculator.buildQuote(calculator.calculateITNeeds({ ...NO_SERVICES, zones: [zone(2000)] }));
+
+        assert.equal(quote.currency, 'KES');
+        assert.deepEqual(plain(quote.lineItems.map(item => [item.key, item.quantity])),
+            [['accessPoint', 2], ['networkSwitch', 1], ['labourDay', 1]]);
+        assert.equal(quote.subtotal, 91000);
+        assert.equal(quote.vat, 14560);
+        assert.equal(quote.total, quote.subtotal + quote.vat);
+        assert.ok(quote.low < quote.total && quote.total < quote.high);
+    });
+
+    it('adds a line for each service the site needs', () => {
+        const quote = calculator.buildQuote(calculator.calculateITNeeds(FULL_SITE));
+        const keys = quote.lineItems.map(item => item.key);
+
+        ['cabling', 'patchPanel', 'rack', 'cctvCamera', 'nvr', 'surveillanceStorage', 'accessControlDoor',
+            'accessController', 'exitReader', 'ipPbx', 'ipPhone'].forEach(key => assert.ok(keys.includes(key), key));
+        assert.equal(quote.lineItems.find(item => item.key === 'exitReader').quantity, 4);
+        assert.equal(quote.subtotal, quote.lineItems.reduce((sum, item) => sum + item.total, 0));
+    });
+
+    it('uses the catalog it is given', () => {
+        const catalog = use('PRICE_CATALOG');
+        const taxFree = new ITCalculator({ catalog: { ...catalog, vatRate: 0 } });
+        const quote = taxFree.buildQuote(taxFree.calculateITNeeds({ ...NO_SERVICES, zones: [zone(2000)] }));
+
+        assert.equal(quote.vat, 0);
+        assert.equal(quote.total, quote.subtotal);
+    });
+});
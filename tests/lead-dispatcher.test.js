@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers');
+
+const use = loadScripts(['js/lead-dispatcher.js']);
+const LeadDispatcher = use('LeadDispatcher');
+const LEAD_CHANNELS = use('LEAD_CHANNELS');
+const { window } = use;
+
+const LEAD = { subject: '[HOT] New Web Development Inquiry - Ann', message: 'Hello from Ann', fields: { fullName: 'Ann' } };
+const CONFIG = {
+    whatsappNumber: '254717340777',
+    formEndpoint: 'https://formspree.io/f/test',
+    email: 'dev.wiredwise@outlook.com'
+};
+
+// A channel that answers with the given result and remembers being asked
+function stubChannel(result, { confirmsDelivery = false } = {}) {
+    const channel = {
+        confirmsDelivery,
+        calls: 0,
+        async send() {
+            channel.calls += 1;
+            if (result instanceof Error) throw result;
+            return result;
+        }
+    };
+    return channel;
+}
+
+function dispatcherWith(channels, order = Object.keys(channels)) {
+    return new LeadDispatcher({ ...CONFIG, order, channels });
+}
+
+describe('LeadDispatcher.dispatch()', () => {
+    it('stops at the first channel that gets the lead out', async () => {
+        const channels = { whatsapp: stubChannel(true), formspree: stubChannel(true, { confirmsDelivery: true }) };
+        const result = await dispatcherWith(channels).dispatch(LEAD);
+
+        assert.deepEqual(plain(result), { delivered: true, confirmed: false, attempts: [{ channel: 'whatsapp', ok: true }] });
+        assert.equal(channels.formspree.calls, 0);
+    });
+
+    it('falls back to the next channel when one fails or throws', async () => {
+        const channels = {
+            whatsapp: stubChannel(false),
+            email: stubChannel(new Error('blocked')),
+            formspree: stubChannel(true, { confirmsDelivery: true })
+        };
+        const result = await dispatcherWith(channels).dispatch(LEAD);
+
+        assert.equal(result.delivered, true);
+        assert.equal(result.confirmed, true);
+        assert.deepEqual(plain(result.attempts.map(attempt => [attempt.channel, attempt.ok])),
+            [['whatsapp', false], ['email', false], ['formspree', true]]);
+    });
+
+    it('reports a lead no channel could send without rejecting', async () => {
+        const channels = { whatsapp: stubChannel(false), formspree: stubChannel(new Error('offline')) };
+        const result = await dispatcherWith(channels).dispatch(LEAD);
+
+        assert.equal(result.delivered, false);
+        assert.equal(result.confirmed, false);
+        assert.equal(result.attempts.length, 2);
+    });
+
+    it('follows the order it is given and skips unknown channels', async () => {
+        const channels = { whatsapp: stubChannel(true), formspree: stubChannel(true, { confirmsDelivery: true }) };
+        const result = await dispatcherWith(channels).dispatch(LEAD, ['fax', 'formspree', 'whatsapp']);
+
+        assert.deepEqual(plain(result.attempts), [{ channel: 'formspree', ok: true }]);
+        assert.equal(channels.whatsapp.calls, 0);
+    });
+});
+
+describe('LEAD_CHANNELS', () => {
+    const dispatcher = new LeadDispatcher({ ...CONFIG, order: ['whatsapp', 'formspree'] });
+
+    it('notices when a popup blocker swallows WhatsApp', async () => {
+        window.open = () => null;
+        assert.deepEqual(plain(await dispatcher.dispatch(LEAD, ['whatsapp'])),
+            { delivered: false, confirmed: false, attempts: [{ channel: 'whatsapp', ok: false }] });
+
+        const opened = [];
+        window.open = url => opened.push(url);
+        assert.equal((await dispatcher.dispatch(LEAD, ['whatsapp'])).delivered, true);
+        assert.equal(opened[0], 'https://wa.me/254717340777?text=Hello%20from%20Ann');
+    });
+
+    it('only counts an online send the endpoint accepted', async () => {
+        const posted = [];
+        window.fetch = async (url, { body }) => {
+            posted.push({ url, body: JSON.parse(body) });
+            return { ok: posted.length > 1 };
+        };
+
+        assert.equal((await dispatcher.dispatch(LEAD, ['formspree'])).delivered, false);
+        assert.deepEqual(plain(await dispatcher.dispatch(LEAD, ['formspree'])),
+            { delivered: true, confirmed: true, attempts: [{ channel: 'formspree', ok: true }] });
+        assert.equal(posted[1].url, CONFIG.formEndpoint);
+        assert.deepEqual(posted[1].body, { _subject: LEAD.subject, message: LEAD.message, fullName: 'Ann' });
+    });
+
+    it('builds the manual links the fallback offers', () => {
+        assert.equal(LEAD_CHANNELS.email.getLink(LEAD, CONFIG),
+            'mailto:dev.wiredwise@outlook.com?subject=%5BHOT%5D%20New%20Web%20Development%20Inquiry%20-%20Ann&body=Hello%20from%20Ann');
+        assert.equal(dispatcher.getChannel('whatsapp'), LEAD_CHANNELS.whatsapp);
+    });
+});
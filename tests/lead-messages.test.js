@@ -0,0 +1,194 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers');
+
+const use = loadScripts([
+    'js/price-catalog.js', 'js/assessment-rules.js', 'js/it-calculator.js',
+    'js/i18n.js', 'js/locales/en.js', 'js/locales/sw.js',
+    'js/phone.js', 'js/lead-scoring.js', 'js/lead-messages.js'
+]);
+const LeadMessageBuilder = use('LeadMessageBuilder');
+const Translator = use('Translator');
+const ITCalculator = use('ITCalculator');
+
+const SCORE = {
+    rating: 'hot',
+    label: 'HOT',
+    icon: '🔥',
+    points: 65,
+    reason: 'Wants to start within a month',
+    nextAction: 'Call within 2 hours'
+};
+
+const AREA_UNITS = {
+    sqft: { areaLabel: 'sq. ft', sqftPerUnit: 1 },
+    sqm: { areaLabel: 'm²', sqftPerUnit: 10.7639 }
+};
+
+const WEB_DEV_ANSWERS = {
+    fullName: 'Ann Wanjiru',
+    phone: '+254712345678',
+    email: 'ann@example.com',
+    hasWebsite: 'yes',
+    websiteUrl: 'https://example.com',
+    projectType: 'ecommerce',
+    primaryGoal: 'Sell online',
+    timeline: 'asap',
+    problems: ['Slow loading', 'Outdated design'],
+    benefits: []
+};
+
+function assessSite(formData) {
+    const calculator = new ITCalculator();
+    const zones = formData.zones.map(zone => calculator.describeZone(zone));
+    const results = calculator.calculateITNeeds({ ...formData, zones });
+    return { formData: { ...formData, zones }, results, quote: calculator.buildQuote(results) };
+}
+
+const IT_ANSWERS = {
+    fullName: 'Brian Otieno',
+    phone: '+254712345678',
+    areaUnit: 'sqm',
+    needsCabling: true,
+    needsCCTV: false,
+    needsAccessControl: false,
+    needsTelephony: false,
+    cctv: {},
+    accessControl: {},
+    telephony: {},
+    cabling: { extraDrops: 0 },
+    zones: [
+        { name: '', area: 1076.39, floor: 0, buildingTypeId: 'house', usageProfileId: 'basic' },
+        { name: 'Store', area: 2000, floor: 1, buildingTypeId: 'warehouse', usageProfileId: 'basic' }
+    ]
+};
+
+describe('LeadMessageBuilder.buildWebDevLead()', () => {
+    const builder = new LeadMessageBuilder();
+
+    it('opens with the lead rating and next step', () => {
+        const { subject, message } = builder.buildWebDevLead(WEB_DEV_ANSWERS, { score: SCORE, language: 'en' });
+
+        assert.equal(subject, '[HOT] New Web Development Inquiry - Ann Wanjiru');
+        assert.ok(message.startsWith('🔥 *Lead: HOT* (65 pts)\n💡 *Why:* Wants to start within a month\n'));
+        assert.match(message, /👉 \*Next step:\* Call within 2 hours/);
+    });
+
+    it('gives the visitor a title without the rating, in their language', () => {
+        const english = builder.buildWebDevLead(WEB_DEV_ANSWERS, { score: SCORE, language: 'en' });
+        const swahili = builder.buildWebDevLead(WEB_DEV_ANSWERS, { score: SCORE, language: 'sw' });
+
+        assert.equal(english.title, 'Web development inquiry – Ann Wanjiru');
+        assert.equal(swahili.title, 'Ombi la tovuti – Ann Wanjiru');
+        assert.equal(english.fields.leadRating, 'hot');
+    });
+
+    it('lists the contact details with a WhatsApp reply link', () => {
+        const { message } = builder.buildWebDevLead(WEB_DEV_ANSWERS, { score: SCORE, language: 'sw' });
+
+        assert.match(message, /📱 \*Phone:\* \+254712345678\n💬 \*Reply on WhatsApp:\* https:\/\/wa\.me\/254712345678\n/);
+        assert.match(message, /📧 \*Email:\* ann@example\.com/);
+        assert.match(message, /🗣️ \*Customer language:\* Kiswahili/);
+        assert.match(message, /🔗 \*Website URL:\* https:\/\/example\.com/);
+        assert.ok(message.endsWith(`\n${use('LEAD_MESSAGE_FOOTER')}`));
+    });
+
+    it('leaves out the reply link for a number we could not read', () => {
+        const { message } = builder.buildWebDevLead({ ...WEB_DEV_ANSWERS, phone: '0712' }, { score: SCORE, language: 'en' });
+
+        assert.match(message, /📱 \*Phone:\* 0712\n/);
+        assert.doesNotMatch(message, /Reply on WhatsApp/);
+    });
+
+    it('lists problems for an existing site and benefits for a new one', () => {
+        const existing = builder.buildWebDevLead(WEB_DEV_ANSWERS, { score: SCORE, language: 'en' }).message;
+        assert.match(existing, /\*Reported Problems:\*\n➡️ 1\. Slow loading\n➡️ 2\. Outdated design\n/);
+        assert.doesNotMatch(existing, /Desired Benefits/);
+
+        const fresh = builder.buildWebDevLead({
+            ...WEB_DEV_ANSWERS,
+            hasWebsite: 'no',
+            benefits: ['Online bookings']
+        }, { score: SCORE, language: 'en' }).message;
+        assert.match(fresh, /🌐 \*Has Website:\* No/);
+        assert.match(fresh, /\*Desired Benefits:\*\n✅ 1\. Online bookings\n/);
+        assert.doesNotMatch(fresh, /Reported Problems|Website URL/);
+    });
+
+    it('passes the answers and rating on for online delivery', () => {
+        const { fields } = builder.buildWebDevLead(WEB_DEV_ANSWERS, { score: SCORE, language: 'sw' });
+
+        assert.equal(fields.fullName, 'Ann Wanjiru');
+        assert.equal(fields.language, 'sw');
+        assert.equal(fields.leadRating, 'hot');
+    });
+});
+
+describe('LeadMessageBuilder.buildITAssessmentLead()', () => {
+    const builder = new LeadMessageBuilder({ areaUnits: AREA_UNITS });
+    const context = { score: SCORE, language: 'en', rulesVersion: '2026.10.1' };
+
+    it('breaks a multi-zone site down by zone in the customer\'s unit', () => {
+        const { formData, results, quote } = assessSite(IT_ANSWERS);
+        const { subject, message } = builder.buildITAssessmentLead(formData, results, quote, context);
+
+        assert.equal(subject, '[HOT] New IT Infrastructure Assessment - Brian Otieno');
+        assert.equal(builder.buildITAssessmentLead(formData, results, quote, context).title,
+            'IT infrastructure assessment – Brian Otieno');
+        assert.match(message, /📏 \*Total Area:\* 286 m² \(3,076 sq\. ft\) across 2 zones/);
+        assert.match(message, /🏢 \*Zone 1\* \(Ground floor, Single-family home, Basic Browse\/email\): 100 m² → 1 APs/);
+        assert.match(message, /🏢 \*Store\* \(Floor 1, Warehouse\/Industrial, Basic Browse\/email\): 186 m² → 4 APs/);
+        assert.match(message, /🔌 \*Structured cabling:\* 21 network points \(~630 m of cable\)/);
+        assert.match(message, /📐 \*Rules version:\* 2026\.10\.1/);
+    });
+
+    it('shows the building type for a single zone', () => {
+        const { formData, results, quote } = assessSite({ ...IT_ANSWERS, areaUnit: 'sqft', zones: [IT_ANSWERS.zones[1]] });
+        const { message } = builder.buildITAssessmentLead(formData, results, quote, context);
+
+        assert.match(message, /🏢 \*Building Type:\* Warehouse\/Industrial\n📏 \*Area:\* 2,000 sq\. ft\n/);
+        assert.doesNotMatch(message, /Site Zones/);
+    });
+
+    // Currency is written with a no-break space, hence the \s
+    it('itemises the quote', () => {
+        const { formData, results, quote } = assessSite(IT_ANSWERS);
+        const { message, fields } = builder.buildITAssessmentLead(formData, results, quote, context);
+
+        assert.match(message, /▪️ WiFi access points: 5 × Ksh\s18,500 = Ksh\s92,500\n/);
+        assert.match(message, /Subtotal: Ksh\s347,500\nVAT: Ksh\s55,600\n/);
+        assert.match(message, /💰 \*Budget Range:\* Ksh\s362,790 – Ksh\s503,875/);
+        assert.equal(fields.total, quote.total);
+    });
+
+    it('leaves the cost out when there is no quote', () => {
+        const { formData, results } = assessSite(IT_ANSWERS);
+        const { message } = builder.buildITAssessmentLead(formData, results, null, context);
+
+        assert.doesNotMatch(message, /Estimated Cost/);
+    });
+
+    it('stays in English for a visitor browsing in Swahili', () => {
+        const translator = new Translator();
+        translator.setLocale('sw');
+        const swahiliVisitor = new LeadMessageBuilder({ translator, areaUnits: AREA_UNITS });
+        const { formData, results, quote } = assessSite(IT_ANSWERS);
+        const { message } = swahiliVisitor.buildITAssessmentLead(formData, results, quote, { ...context, language: 'sw' });
+
+        assert.match(message, /🏢 \*Zone 1\* \(Ground floor,/);
+        assert.match(message, /🔌 \*Structured cabling:\* 21 network points/);
+        assert.match(message, /🗣️ \*Customer language:\* Kiswahili/);
+    });
+});
+
+describe('LeadMessageBuilder.describeServices()', () => {
+    it('writes the summaries in the requested language', () => {
+        const { results } = assessSite(IT_ANSWERS);
+        const builder = new LeadMessageBuilder();
+
+        assert.deepEqual(plain(builder.describeServices(results.services).map(line => line.label)),
+            ['Structured cabling']);
+        assert.notEqual(builder.describeServices(results.services, 'sw')[0].summary,
+            builder.describeServices(results.services, 'en')[0].summary);
+    });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers');
+
+const use = loadScripts(['js/lead-scoring.js']);
+const LeadScorer = use('LeadScorer');
+const LEAD_SCORING_RULES = use('LEAD_SCORING_RULES');
+
+describe('LeadScorer.score()', () => {
+    const scorer = new LeadScorer();
+
+    it('rates an urgent e-commerce build hot, strongest reasons first', () => {
+        const score = scorer.score('webDev', { timeline: 'asap', projectType: 'ecommerce', problemCount: 0, hasWebsite: 'yes' });
+
+        assert.equal(score.rating, 'hot');
+        assert.equal(score.label, 'HOT');
+        assert.equal(score.points, 75);
+        assert.equal(score.reason, 'Wants to start within a month; E-commerce build');
+        assert.equal(score.nextAction, LEAD_SCORING_RULES.ratings.hot.nextAction);
+    });
+
+    it('rates by the thresholds', () => {
+        const rating = answers => scorer.score('webDev', answers).rating;
+
+        assert.equal(rating({ timeline: '1-3', hasWebsite: 'yes' }), 'warm');
+        assert.equal(rating({ timeline: '6+', projectType: 'other' }), 'cold');
+    });
+
+    it('scores numbers by the first range they reach and fills in the value', () => {
+        const score = scorer.score('itAssessment', { area: 12500.4, serviceCount: 2, zoneCount: 1 });
+
+        assert.equal(score.points, 65);
+        assert.equal(score.reason, 'Large site (12,500 sq ft); Wants 2 add-on services');
+    });
+
+    it('skips unanswered and unknown answers, falling back to a default reason', () => {
+        const score = scorer.score('webDev', { timeline: '', projectType: 'portfolio', problemCount: null });
+
+        assert.equal(score.points, 0);
+        assert.equal(score.rating, 'cold');
+        assert.equal(score.reason, LEAD_SCORING_RULES.fallbackReason);
+    });
+
+    it('scores an unknown form type as cold rather than failing', () => {
+        assert.equal(scorer.score('newsletter', { timeline: 'asap' }).rating, 'cold');
+    });
+
+    it('takes its own rules', () => {
+        const scorer = new LeadScorer({
+            ...LEAD_SCORING_RULES,
+            thresholds: { hot: 10, warm: 5 },
+            maxReasons: 1,
+            criteria: {
+                callback: [
+                    { field: 'budget', ranges: [{ min: 1000, points: 8, reason: 'Budget of {value}' }] },
+                    { field: 'urgent', match: { yes: { points: 4, reason: 'Urgent' } } }
+                ]
+            }
+        });
+
+        assert.deepEqual(plain(scorer.score('callback', { budget: 1500, urgent: 'yes' })),
+            { rating: 'hot', ...LEAD_SCORING_RULES.ratings.hot, points: 12, reason: 'Budget of 1,500' });
+    });
+});
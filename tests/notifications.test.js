@@ -0,0 +1,141 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, settle } = require('./helpers');
+
+const use = loadScripts(['js/notifications.js']);
+const ToastManager = use('ToastManager');
+const { document, MouseEvent } = use.window;
+
+const messages = region => Array.from(region.querySelectorAll('.toast-message'), p => p.textContent);
+
+describe('ToastManager', () => {
+    let toasts;
+    const polite = () => toasts.container.querySelector('[data-toast-region="polite"]');
+    const assertive = () => toasts.container.querySelector('[data-toast-region="assertive"]');
+
+    afterEach(() => {
+        toasts.clear();
+        toasts.container.remove();
+    });
+
+    it('adds its live regions to the page before any toast', () => {
+        toasts = new ToastManager();
+
+        assert.equal(document.getElementById('toastContainer'), toasts.container);
+        assert.equal(polite().getAttribute('aria-live'), 'polite');
+        assert.equal(assertive().getAttribute('role'), 'alert');
+        assert.equal(toasts.container.querySelectorAll('.toast').length, 0);
+    });
+
+    it('stacks toasts in order, announcing warnings and errors urgently', () => {
+        toasts = new ToastManager();
+
+        toasts.show({ message: 'Saved', type: 'success' });
+        toasts.show({ message: 'Check your phone number', type: 'error', title: 'Almost there' });
+        toasts.show({ message: 'Sent', type: 'success' });
+        toasts.show({ message: 'Unknown kind', type: 'shout' });
+
+        assert.deepEqual(messages(polite()), ['Saved', 'Sent', 'Unknown kind']);
+        assert.deepEqual(messages(assertive()), ['Check your phone number']);
+        assert.equal(assertive().querySelector('.toast-title').textContent, 'Almost there');
+        assert.equal(polite().querySelector('.toast-title'), null);
+    });
+
+    it('drops the oldest toast beyond the visible limit', () => {
+        toasts = new ToastManager({ maxVisible: 2 });
+
+        ['First', 'Second', 'Third'].forEach(message => toasts.show({ message }));
+
+        assert.deepEqual(messages(polite()), ['Second', 'Third']);
+        assert.equal(toasts.toasts.length, 2);
+    });
+
+    it('writes messages as text, not markup', () => {
+        toasts = new ToastManager();
+
+        const { element } = toasts.show({ message: '<img src=x onerror=alert(1)>', title: '<b>Hi</b>' });
+
+        assert.equal(element.querySelector('img'), null);
+        assert.equal(element.querySelector('.toast-message').textContent, '<img src=x onerror=alert(1)>');
+        assert.equal(element.querySelector('.toast-title').textContent, '<b>Hi</b>');
+    });
+
+    it('dismisses from the close button, the returned handle or clear()', () => {
+        toasts = new ToastManager({ dismissLabel: 'Funga' });
+
+        const first = toasts.show({ message: 'First' });
+        const second = toasts.show({ message: 'Second' });
+        toasts.show({ message: 'Third' });
+        const close = first.element.querySelector('.toast-close');
+
+        assert.equal(close.getAttribute('aria-label'), 'Funga');
+        close.click();
+        second.dismiss();
+        assert.deepEqual(messages(polite()), ['Third']);
+
+        toasts.clear();
+        assert.deepEqual(messages(polite()), []);
+        assert.equal(toasts.toasts.length, 0);
+    });
+
+    it('dismisses itself after its duration, unless it is kept open', async () => {
+        toasts = new ToastManager({ duration: 20 });
+
+        toasts.show({ message: 'Brief' });
+        toasts.show({ message: 'Sticky', duration: 0 });
+        await settle(40);
+
+        assert.deepEqual(messages(polite()), ['Sticky']);
+    });
+
+    it('waits while the visitor hovers over it', async () => {
+        toasts = new ToastManager({ duration: 20 });
+
+        const { element } = toasts.show({ message: 'Reading' });
+        element.dispatchEvent(new MouseEvent('mouseenter'));
+        await settle(40);
+        assert.deepEqual(messages(polite()), ['Reading']);
+
+        element.dispatchEvent(new MouseEvent('mouseleave'));
+        await settle(40);
+        assert.deepEqual(messages(polite()), []);
+    });
+
+    it('runs button actions and closes unless told to stay', () => {
+        toasts = new ToastManager();
+        const clicks = [];
+
+        const { element } = toasts.show({
+            message: 'Could not send',
+            actions: [
+                { label: 'Retry', onClick: () => clicks.push('retry') },
+                { label: 'Copy', dismiss: false, onClick: (event, action) => action.textContent = 'Copied' }
+            ]
+        });
+        const [retry, copy] = element.querySelectorAll('.toast-actions button');
+
+        assert.equal(retry.type, 'button');
+        copy.click();
+        assert.equal(copy.textContent, 'Copied');
+        assert.ok(element.isConnected);
+
+        retry.click();
+        assert.deepEqual(clicks, ['retry']);
+        assert.ok(!element.isConnected);
+    });
+
+    it('opens link actions in a new tab', () => {
+        toasts = new ToastManager();
+
+        const { element } = toasts.show({
+            message: 'Send it yourself',
+            actions: [{ label: 'Open WhatsApp', href: 'https://wa.me/254717340777' }]
+        });
+        const link = element.querySelector('.toast-actions a');
+
+        assert.equal(link.textContent, 'Open WhatsApp');
+        assert.equal(link.href, 'https://wa.me/254717340777');
+        assert.equal(link.target, '_blank');
+        assert.equal(link.rel, 'noopener');
+    });
+});
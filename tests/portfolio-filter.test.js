@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('./helpers');
+
+const use = loadScripts(['js/portfolio-filter.js']);
+const filterPortfolioItems = use('filterPortfolioItems');
+
+const { items } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'portfolio.json'), 'utf8'));
+const ids = list => list.map(item => item.id);
+
+describe('filterPortfolioItems()', () => {
+    it('returns every item, newest first, by default', () => {
+        const result = filterPortfolioItems(items);
+
+        assert.equal(result.length, items.length);
+        assert.equal(result[0].id, 'clinic-telephony');
+        assert.equal(result[result.length - 1].id, 'ruiru-warehouse-cabling');
+    });
+
+    it('keeps items carrying any of the selected tags', () => {
+        const result = filterPortfolioItems(items, { tags: ['cctv', 'telephony'] });
+
+        assert.deepEqual(ids(result), ['clinic-telephony', 'kiambu-school-cctv', 'juja-estate-gate']);
+    });
+
+    it('needs every word of the query to appear in the item', () => {
+        assert.deepEqual(ids(filterPortfolioItems(items, { query: 'warehouse' })), ['ruiru-warehouse-cabling']);
+        assert.deepEqual(ids(filterPortfolioItems(items, { query: '  HOTEL   wifi ' })), ['thika-hotel-wifi']);
+        assert.deepEqual(ids(filterPortfolioItems(items, { query: 'hotel cctv' })), []);
+    });
+
+    it('searches the sector, services and case study text', () => {
+        assert.deepEqual(ids(filterPortfolioItems(items, { query: 'healthcare' })), ['clinic-telephony']);
+        assert.ok(filterPortfolioItems(items, { query: 'structured cabling' }).length >= 2);
+        assert.deepEqual(ids(filterPortfolioItems(items, { query: 'dead spots' })), ['thika-hotel-wifi']);
+    });
+
+    it('combines tags with the query', () => {
+        const result = filterPortfolioItems(items, { tags: ['web-design'], query: 'boutique' });
+
+        assert.deepEqual(ids(result), ['thika-boutique-shop']);
+    });
+
+    it('sorts oldest first or by title', () => {
+        const oldest = filterPortfolioItems(items, { sort: 'oldest' });
+        assert.equal(oldest[0].id, 'ruiru-warehouse-cabling');
+
+        const titles = filterPortfolioItems(items, { sort: 'title' }).map(item => item.title);
+        assert.deepEqual(titles, [...titles].sort((a, b) => a.localeCompare(b)));
+    });
+
+    it('falls back to newest first for an unknown sort', () => {
+        assert.deepEqual(ids(filterPortfolioItems(items, { sort: 'random' })), ids(filterPortfolioItems(items)));
+    });
+
+    it('leaves the original list in place', () => {
+        const before = ids(items);
+        filterPortfolioItems(items, { sort: 'title' });
+
+        assert.deepEqual(ids(items), before);
+    });
+});
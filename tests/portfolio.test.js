@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadPage, settle } = require('./helpers');
+
+const PAGE = 'index.html';
+
+const cards = document => Array.from(document.querySelectorAll('#portfolioGrid [data-project]'));
+const status = document => document.getElementById('portfolioStatus').textContent;
+
+// Answers the portfolio request with the given data instead of data/portfolio.json
+const servePortfolio = data => window => {
+    window.fetch = async () => ({ ok: true, status: 200, json: async () => data });
+};
+
+describe('portfolio', () => {
+    it('shows the first page of projects, newest first', async () => {
+        const { window, errors } = await loadPage(PAGE);
+        const { document } = window;
+        await settle();
+
+        assert.deepEqual(errors, []);
+        assert.equal(cards(document).length, 6);
+        assert.equal(cards(document)[0].dataset.project, 'clinic-telephony');
+        assert.equal(status(document), 'Showing 1–6 of 9 projects');
+        window.close();
+    });
+
+    it('says the projects could not be loaded when the data has no items list', async () => {
+        const { window, errors } = await loadPage(PAGE, { beforeParse: servePortfolio({ projects: [] }) });
+        const { document } = window;
+        await settle();
+
+        assert.deepEqual(errors, []);
+        assert.equal(cards(document).length, 0);
+        assert.match(status(document), /couldn't load our projects/);
+        window.close();
+    });
+
+    it('opens a case study on a page whose viewer has no close or paging buttons', async () => {
+        const html = fs.readFileSync(path.join(__dirname, '..', PAGE), 'utf8')
+            .replace(/<button type="button" id="lightbox(Close|Prev|Next)"[\s\S]*?<\/button>/g, '');
+        const { window, errors } = await loadPage(PAGE, { html });
+        const { document } = window;
+        await settle();
+
+        assert.equal(document.getElementById('lightboxClose'), null);
+        cards(document)[0].click();
+        assert.ok(!document.getElementById('portfolioLightbox').classList.contains('hidden'));
+        assert.notEqual(document.getElementById('lightboxTitle').textContent, '');
+
+        document.getElementById('portfolioLightbox').dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape' }));
+        assert.ok(document.getElementById('portfolioLightbox').classList.contains('hidden'));
+        assert.deepEqual(errors, []);
+        window.close();
+    });
+});
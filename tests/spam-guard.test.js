@@ -0,0 +1,145 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers');
+
+const use = loadScripts(['js/spam-guard.js']);
+const SpamGuard = use('SpamGuard');
+const { document, localStorage, FocusEvent } = use.window;
+
+const MINUTE = 60 * 1000;
+const LEAD = { fullName: 'Ann Wanjiru', phone: '+254712345678', primaryGoal: 'Sell online' };
+
+// A clock the tests move by hand
+function fakeClock(start = Date.UTC(2026, 9, 19, 9)) {
+    const clock = () => clock.time;
+    clock.time = start;
+    clock.advance = ms => clock.time += ms;
+    return clock;
+}
+
+function makeForm() {
+    const form = document.createElement('form');
+    form.innerHTML = `
+        <input name="fullName">
+        <input name="companyWebsite" data-honeypot>
+        <button type="submit">Send</button>
+    `;
+    document.body.appendChild(form);
+    return form;
+}
+
+// A watched form the visitor has started on, and a clock already past the minimum time
+function startedForm(config = {}) {
+    const clock = fakeClock();
+    const guard = new SpamGuard({ minCompletionSeconds: { webDev: 20 }, now: clock, ...config });
+    const form = makeForm();
+    guard.watch(form, 'webDev');
+    form.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+    clock.advance(MINUTE);
+    return { guard, form, clock };
+}
+
+describe('SpamGuard.check()', () => {
+    beforeEach(() => localStorage.clear());
+
+    it('refuses forms sent before the visitor could have filled them in', async () => {
+        const clock = fakeClock();
+        const guard = new SpamGuard({ minCompletionSeconds: { webDev: 20 }, now: clock });
+        const form = makeForm();
+        guard.watch(form, 'webDev');
+
+        // Never touched at all
+        assert.equal((await guard.check(form, LEAD)).reason, 'too_fast');
+
+        form.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+        clock.advance(19 * 1000);
+        const early = await guard.check(form, LEAD);
+        assert.equal(early.reason, 'too_fast');
+        assert.notEqual(early.message, '');
+
+        clock.advance(1000);
+        assert.deepEqual(plain(await guard.check(form, LEAD)), { ok: true });
+    });
+
+    it('times the form from the first interaction only', async () => {
+        const { guard, form, clock } = startedForm();
+
+        // Later focus changes don't restart the clock
+        form.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+        clock.advance(1000);
+        assert.equal((await guard.check(form, LEAD)).ok, true);
+    });
+
+    it('drops bot submissions that fill a honeypot, without saying why', async () => {
+        const { guard, form } = startedForm();
+        form.elements.companyWebsite.value = 'https://spam.example';
+
+        assert.deepEqual(plain(await guard.check(form, LEAD)), { ok: false, reason: 'honeypot', message: '' });
+    });
+
+    it('refuses the same lead twice within the duplicate window, ignoring case and spacing', async () => {
+        const { guard, form, clock } = startedForm({ duplicateWindowHours: 24 });
+        guard.record(form, LEAD);
+
+        const again = { ...LEAD, fullName: '  ann   WANJIRU ' };
+        assert.equal((await guard.check(form, again)).reason, 'duplicate');
+        assert.equal((await guard.check(form, { ...LEAD, primaryGoal: 'Take bookings' })).ok, true);
+
+        clock.advance(24 * 60 * MINUTE);
+        assert.equal((await guard.check(form, again)).ok, true);
+    });
+
+    it('limits how many leads one browser sends within the rate window', async () => {
+        const { guard, form, clock } = startedForm({ maxSubmissions: 2, rateWindowMinutes: 30, duplicateWindowHours: 0 });
+        guard.record(form, { ...LEAD, primaryGoal: 'First' });
+        clock.advance(MINUTE);
+        guard.record(form, { ...LEAD, primaryGoal: 'Second' });
+
+        assert.equal((await guard.check(form, { ...LEAD, primaryGoal: 'Third' })).reason, 'rate_limited');
+
+        // The first lead falls out of the window
+        clock.advance(29 * MINUTE + 1);
+        assert.equal((await guard.check(form, { ...LEAD, primaryGoal: 'Third' })).ok, true);
+    });
+
+    it('asks the configured challenge provider last', async () => {
+        let answer = false;
+        const challenges = {
+            test: {
+                prepare: form => form.querySelector('[type="submit"]').disabled = true,
+                verify: async () => answer
+            },
+            broken: {
+                verify: async () => {
+                    throw new Error('widget failed to load');
+                }
+            }
+        };
+        const { guard, form } = startedForm({ challenge: 'test', challenges });
+
+        assert.ok(form.querySelector('[type="submit"]').disabled);
+        assert.equal((await guard.check(form, LEAD)).reason, 'challenge_failed');
+        answer = true;
+        assert.equal((await guard.check(form, LEAD)).ok, true);
+
+        const broken = startedForm({ challenge: 'broken', challenges });
+        assert.equal((await broken.guard.check(broken.form, LEAD)).reason, 'challenge_failed');
+    });
+});
+
+describe('SpamGuard.record()', () => {
+    beforeEach(() => localStorage.clear());
+
+    it('keeps only a hash and time per lead, dropping entries past every window', () => {
+        const { guard, form, clock } = startedForm({ duplicateWindowHours: 24, rateWindowMinutes: 30 });
+        guard.record(form, LEAD);
+        clock.advance(25 * 60 * MINUTE);
+        guard.record(form, { ...LEAD, primaryGoal: 'Take bookings' });
+
+        const log = JSON.parse(localStorage.getItem('wiredwise.submissionLog'));
+        assert.equal(log.length, 1);
+        assert.deepEqual(Object.keys(log[0]).sort(), ['at', 'form', 'hash']);
+        assert.equal(log[0].at, clock.time);
+        assert.doesNotMatch(JSON.stringify(log), /Ann|254712345678/);
+    });
+});
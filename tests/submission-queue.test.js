@@ -0,0 +1,154 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory, IDBObjectStore } = require('fake-indexeddb');
+const { loadScripts, loadPage, asVisitor, plain, settle } = require('./helpers');
+
+const LEAD = { subject: '[HOT] New Web Development Inquiry - Ann', message: 'Hello', fields: { fullName: 'Ann' } };
+
+describe('SubmissionQueue', () => {
+    const use = loadScripts(['js/submission-queue.js']);
+    const SubmissionQueue = use('SubmissionQueue');
+
+    it('is only used where the browser has IndexedDB', () => {
+        assert.equal(SubmissionQueue.isSupported(), false);
+        use.window.indexedDB = new IDBFactory();
+        assert.equal(SubmissionQueue.isSupported(), true);
+    });
+
+    it('keeps leads until they are removed', async () => {
+        use.window.indexedDB = new IDBFactory();
+        const queue = new SubmissionQueue();
+
+        const id = await queue.add(LEAD);
+        await queue.add({ ...LEAD, subject: 'Second' });
+        const [entry, second] = await queue.getAll();
+
+        assert.equal(entry.id, id);
+        assert.deepEqual(plain(entry.lead), LEAD);
+        assert.equal(entry.status, 'pending');
+        assert.equal(entry.attempts, 0);
+        assert.ok(entry.queuedAt <= Date.now());
+
+        await queue.update({ ...entry, status: 'failed', attempts: 1 });
+        await queue.remove(second.id);
+        assert.deepEqual(plain((await queue.getAll()).map(item => [item.status, item.attempts])), [['failed', 1]]);
+    });
+});
+
+describe('sending queued leads', () => {
+    const PAGE = 'web development/webdevelopment.html';
+
+    // A browser whose connection the test switches, with its own IndexedDB
+    function browser(indexedDB = new IDBFactory()) {
+        const network = { online: false };
+        const beforeParse = window => {
+            window.indexedDB = indexedDB;
+            Object.defineProperty(window.navigator, 'onLine', { get: () => network.online, configurable: true });
+        };
+        return { network, indexedDB, beforeParse };
+    }
+
+    function submitWizard(window) {
+        const { document } = window;
+        const form = document.getElementById('webDevelopmentForm');
+
+        document.querySelector('[name="projectType"][value="business"]').checked = true;
+        document.getElementById('primaryGoal').value = 'A simple site for our bakery';
+        document.getElementById('timeline').value = 'asap';
+        document.querySelector('[name="hasWebsite"][value="no"]').checked = true;
+        document.getElementById('fullName').value = 'Ann Wanjiru';
+        document.getElementById('email').value = 'ann@example.com';
+        document.getElementById('phone').value = '0712345678';
+        asVisitor(window, form, () => form.dispatchEvent(new window.Event('submit', { cancelable: true })));
+    }
+
+    const queued = window => window.eval('new SubmissionQueue()').getAll();
+    const panel = window => window.document.getElementById('pendingSubmissions')?.textContent || '';
+
+    it('saves a lead sent offline and delivers it online when the connection returns', async () => {
+        const { network, beforeParse } = browser();
+        const { window, errors } = await loadPage(PAGE, { beforeParse });
+
+        submitWizard(window);
+        await settle(100);
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(window.opened, []);
+        assert.deepEqual(window.posted, []);
+        assert.ok(!window.document.getElementById('thankYouMessage').classList.contains('hidden'));
+        assert.equal((await queued(window)).length, 1);
+        assert.match(panel(window), /Web development inquiry – Ann Wanjiru/);
+        assert.doesNotMatch(panel(window), /HOT|WARM|COLD/);
+        assert.match(panel(window), /waiting for a connection/);
+
+        network.online = true;
+        window.dispatchEvent(new window.Event('online'));
+        await settle(100);
+
+        assert.equal(window.posted.length, 1);
+        assert.equal(window.posted[0].body.fullName, 'Ann Wanjiru');
+        assert.deepEqual(await queued(window), []);
+        assert.match(panel(window), /Sent ✓/);
+        window.close();
+    });
+
+    it('keeps a queued lead the endpoint refused and counts the attempt', async () => {
+        const { network, beforeParse } = browser();
+        const { window } = await loadPage(PAGE, { beforeParse });
+        submitWizard(window);
+        await settle(100);
+
+        window.fetch = async () => ({ ok: false, status: 500 });
+        network.online = true;
+        window.dispatchEvent(new window.Event('online'));
+        await settle(100);
+
+        const [entry] = await queued(window);
+        assert.equal(entry.status, 'failed');
+        assert.equal(entry.attempts, 1);
+        assert.match(panel(window), /Couldn't send yet/);
+        window.close();
+    });
+
+    it('keeps the visitor on the form when the lead cannot be saved', async () => {
+        const { beforeParse } = browser();
+        const { window } = await loadPage(PAGE, { beforeParse });
+        const { add } = IDBObjectStore.prototype;
+        IDBObjectStore.prototype.add = () => {
+            throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        };
+
+        try {
+            submitWizard(window);
+            await settle(100);
+        } finally {
+            IDBObjectStore.prototype.add = add;
+        }
+
+        const { document } = window;
+        const toasts = document.getElementById('toastContainer').textContent;
+        assert.ok(document.getElementById('thankYouMessage').classList.contains('hidden'));
+        assert.doesNotMatch(toasts, /We've saved your request/);
+        assert.match(toasts, /couldn't send your request automatically/);
+        assert.deepEqual(await queued(window), []);
+        assert.equal(panel(window), '');
+        window.close();
+    });
+
+    it('sends leads left from an earlier visit when the page opens online', async () => {
+        const first = browser();
+        const earlier = await loadPage(PAGE, { beforeParse: first.beforeParse });
+        submitWizard(earlier.window);
+        await settle(100);
+        earlier.window.close();
+
+        const { network, beforeParse } = browser(first.indexedDB);
+        network.online = true;
+        const { window } = await loadPage(PAGE, { beforeParse });
+        await settle(100);
+
+        assert.equal(window.posted.length, 1);
+        assert.deepEqual(await queued(window), []);
+        window.close();
+    });
+});
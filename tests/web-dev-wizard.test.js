@@ -0,0 +1,225 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, asVisitor, settle } = require('./helpers');
+
+const PAGE = 'web development/webdevelopment.html';
+
+const SCRIPTS = ['i18n', 'locales/en', 'locales/sw', 'notifications', 'phone', 'form-validation', 'lead-scoring',
+    'lead-messages', 'lead-dispatcher', 'submission-queue', 'spam-guard', 'analytics', 'web-dev-wizard', 'script']
+    .map(name => `<script src="/js/${name}.js"></script>`).join('\n');
+
+// Just the questions, without the progress bar, problem list or thank-you panel
+const BARE_WIZARD = `<!DOCTYPE html>
+<html lang="en">
+<body>
+    <form id="webDevelopmentForm">
+        <div id="step1" class="form-step">
+            <input type="radio" name="projectType" value="business">
+            <textarea id="primaryGoal" name="primaryGoal"></textarea>
+            <select id="timeline" name="timeline"><option value=""></option><option value="asap">ASAP</option></select>
+        </div>
+        <div id="step2" class="form-step hidden">
+            <input type="radio" name="hasWebsite" value="yes">
+            <input type="radio" name="hasWebsite" value="no">
+        </div>
+        <div id="step3" class="form-step hidden"></div>
+        <div id="step4" class="form-step hidden">
+            <input id="fullName" name="fullName">
+            <input id="email" name="email">
+            <input id="phone" name="phone">
+            <button type="submit">Send</button>
+        </div>
+    </form>
+    ${SCRIPTS}
+</body>
+</html>`;
+
+const isVisible = (document, id) => !document.getElementById(id).classList.contains('hidden');
+const errorFor = (document, field) => document.querySelector(`[data-error-for="${field}"]`).textContent;
+
+// Answers every question on the bare wizard, ticking the radios so a draft is saved
+function answerBareWizard(document) {
+    document.querySelector('[name="projectType"]').click();
+    document.getElementById('primaryGoal').value = 'A simple site for our bakery';
+    document.getElementById('timeline').value = 'asap';
+    document.querySelector('[name="hasWebsite"][value="yes"]').click();
+    document.getElementById('fullName').value = 'Ann Wanjiru';
+    document.getElementById('email').value = 'ann@example.com';
+    document.getElementById('phone').value = '0712345678';
+}
+
+// Popups blocked and the form endpoint unreachable
+function blockEveryChannel(window) {
+    window.open = () => null;
+    window.fetch = async () => {
+        throw new window.TypeError('Failed to fetch');
+    };
+}
+
+function submitAsVisitor(window, form) {
+    asVisitor(window, form, () => form.dispatchEvent(new window.Event('submit', { cancelable: true })));
+}
+
+describe('web development wizard', () => {
+    it('walks through every step and sends the lead to WhatsApp', async () => {
+        const { window, errors } = await loadPage(PAGE);
+        const { document } = window;
+        const goTo = (from, to) => document.querySelector(`#${from} [data-step-target="${to}"]`).click();
+        assert.deepEqual(errors, []);
+
+        // Step 1 holds the visitor back until it is answered
+        goTo('step1', 'step2');
+        assert.ok(isVisible(document, 'step1'));
+        assert.notEqual(errorFor(document, 'projectType'), '');
+
+        document.querySelector('[name="projectType"][value="ecommerce"]').click();
+        document.getElementById('primaryGoal').value = 'Sell our furniture online';
+        document.getElementById('timeline').value = 'asap';
+        goTo('step1', 'step2');
+        assert.ok(isVisible(document, 'step2'));
+        assert.equal(window.location.hash, '#step2');
+
+        // An existing site asks about its problems and checks the address
+        document.querySelector('[name="hasWebsite"][value="yes"]').click();
+        assert.ok(isVisible(document, 'problemsSection'));
+        assert.ok(!isVisible(document, 'benefitsSection'));
+        document.getElementById('websiteUrl').value = 'not a url';
+        goTo('step2', 'step3');
+        assert.ok(isVisible(document, 'step2'));
+        assert.notEqual(errorFor(document, 'websiteUrl'), '');
+
+        document.getElementById('websiteUrl').value = 'https://example.com';
+        document.querySelector('#problemsSection [value="design"]').click();
+        goTo('step2', 'step3');
+        assert.ok(isVisible(document, 'step3'));
+        goTo('step3', 'step4');
+        assert.ok(isVisible(document, 'step4'));
+
+        document.getElementById('fullName').value = 'Ann Wanjiru';
+        document.getElementById('email').value = 'ann@example.com';
+        document.getElementById('phone').value = '0712 345 678';
+        submitAsVisitor(window, document.getElementById('webDevelopmentForm'));
+        await settle(50);
+
+        assert.ok(isVisible(document, 'thankYouMessage'));
+        assert.ok(!isVisible(document, 'step4'));
+
+        const [link] = window.opened;
+        assert.match(link, /^https:\/\/wa\.me\/\d+\?text=/);
+        const message = decodeURIComponent(link.split('?text=')[1]);
+        assert.match(message, /\*New Web Development Inquiry\*/);
+        assert.match(message, /👤 \*Name:\* Ann Wanjiru/);
+        assert.match(message, /📱 \*Phone:\* \+254712345678/);
+        assert.match(message, /🛠️ \*Project Type:\* ecommerce/);
+        assert.match(message, /\*Reported Problems:\*\n➡️ 1\. /);
+        // WhatsApp took the lead, so it isn't posted online as well
+        assert.deepEqual(window.posted, []);
+        window.close();
+    });
+
+    it('sends the visitor back to the first unanswered step on submit', async () => {
+        const { window } = await loadPage(PAGE);
+        const { document } = window;
+
+        document.querySelector('#wizardProgress [data-step-target="step4"]').click();
+        submitAsVisitor(window, document.getElementById('webDevelopmentForm'));
+        await settle(50);
+
+        assert.ok(!isVisible(document, 'thankYouMessage'));
+        assert.ok(isVisible(document, 'step1'));
+        assert.deepEqual(window.opened, []);
+        window.close();
+    });
+
+    it('starts and submits on a page missing the optional sections', async () => {
+        const { window, errors } = await loadPage(PAGE, { html: BARE_WIZARD });
+        const { document } = window;
+        assert.deepEqual(errors, []);
+
+        answerBareWizard(document);
+        submitAsVisitor(window, document.getElementById('webDevelopmentForm'));
+        await settle(50);
+
+        assert.deepEqual(errors, []);
+        assert.equal(window.opened.length, 1);
+        assert.match(decodeURIComponent(window.opened[0]), /🌐 \*Has Website:\* Yes/);
+        window.close();
+    });
+
+    it('offers the saved draft back when the page is reopened at a later step', async () => {
+        const draft = JSON.stringify({
+            savedAt: Date.now(),
+            step: 'step3',
+            fields: { projectType: 'business', primaryGoal: 'A simple site for our bakery', timeline: 'asap' }
+        });
+        const { window } = await loadPage(PAGE, {
+            hash: '#step3',
+            beforeParse: window => window.localStorage.setItem('wiredwise.webDevDraft', draft)
+        });
+        const { document } = window;
+
+        assert.ok(isVisible(document, 'draftPrompt'));
+        assert.equal(window.localStorage.getItem('wiredwise.webDevDraft'), draft);
+
+        document.getElementById('resumeDraftBtn').click();
+        assert.ok(isVisible(document, 'step3'));
+        assert.equal(document.getElementById('primaryGoal').value, 'A simple site for our bakery');
+        window.close();
+    });
+
+    it('keeps the visitor on the form with their draft when the lead cannot be sent', async () => {
+        const { window } = await loadPage(PAGE, { html: BARE_WIZARD, beforeParse: blockEveryChannel });
+        const { document } = window;
+
+        answerBareWizard(document);
+        submitAsVisitor(window, document.getElementById('webDevelopmentForm'));
+        await settle(50);
+
+        assert.ok(isVisible(document, 'step1'));
+        assert.ok(window.localStorage.getItem('wiredwise.webDevDraft'));
+        assert.match(document.getElementById('toastContainer').textContent, /couldn't send your request automatically/);
+        window.close();
+    });
+
+    it('offers every manual route when no channel gets through', async () => {
+        const { window } = await loadPage(PAGE, { html: BARE_WIZARD, beforeParse: blockEveryChannel });
+        const { document } = window;
+
+        answerBareWizard(document);
+        submitAsVisitor(window, document.getElementById('webDevelopmentForm'));
+        await settle(50);
+
+        const actions = Array.from(document.querySelectorAll('#toastContainer .toast-actions > *'));
+        assert.deepEqual(actions.map(action => action.textContent),
+            ['Open WhatsApp manually', 'Send by email', 'Copy message', 'Retry']);
+        assert.match(actions[0].href, /^https:\/\/wa\.me\/\d+\?text=.*Ann%20Wanjiru/);
+        assert.match(actions[1].href, /^mailto:dev\.wiredwise@outlook\.com\?subject=/);
+
+        // Retrying goes through the channels again
+        window.open = url => window.opened.push(url);
+        actions[3].click();
+        await settle(50);
+        assert.equal(window.opened.length, 1);
+        window.close();
+    });
+
+    it('lets the visitor send again after a failed attempt', async () => {
+        const { window } = await loadPage(PAGE, { html: BARE_WIZARD, beforeParse: blockEveryChannel });
+        const { document } = window;
+        const form = document.getElementById('webDevelopmentForm');
+
+        answerBareWizard(document);
+        submitAsVisitor(window, form);
+        await settle(50);
+        assert.deepEqual(window.opened, []);
+
+        // The popup blocker is switched off and the same answers go out
+        window.open = url => window.opened.push(url);
+        submitAsVisitor(window, form);
+        await settle(50);
+
+        assert.equal(window.opened.length, 1);
+        assert.doesNotMatch(document.getElementById('toastContainer').textContent, /already received this request/);
+        window.close();
+    });
+});